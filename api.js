@@ -1,3 +1,5 @@
+import { getSessionToken } from "./auth.js";
+
 // Get API base URL from environment variables
 // In production, this should be set to your backend URL
 // In development, it defaults to empty string (relative paths)
@@ -11,24 +13,103 @@ const getApiBase = () => {
 
 const API_BASE = getApiBase();
 
+// Mailbox access tokens returned by createMailbox, keyed by mailboxId
+const TOKEN_STORAGE_KEY = "tempMail_mailboxTokens";
+const memoryTokens = {};
+
+const readAccessTokens = () => {
+  try {
+    if (typeof localStorage === "undefined") return memoryTokens;
+    return JSON.parse(localStorage.getItem(TOKEN_STORAGE_KEY)) || {};
+  } catch {
+    return memoryTokens;
+  }
+};
+
+const writeAccessTokens = (tokens) => {
+  Object.assign(memoryTokens, tokens);
+  try {
+    if (typeof localStorage !== "undefined") {
+      localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(tokens));
+    }
+  } catch {
+    // storage full or unavailable, keep the in-memory copy
+  }
+};
+
+const sessionHeaders = () => {
+  const token = getSessionToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// The user session plus the mailbox's own token in its separate header; the
+// server accepts either (owners need no mailbox token)
+const authHeaders = (mailboxId) => {
+  const token = readAccessTokens()[mailboxId];
+  return {
+    ...sessionHeaders(),
+    ...(token ? { "X-Mailbox-Token": token } : {}),
+  };
+};
+
+// safeHtml links proxied images as /api/proxy/image; point them at the API host
+const withApiBase = (message) =>
+  API_BASE && message?.safeHtml
+    ? { ...message, safeHtml: message.safeHtml.replaceAll('src="/api/', `src="${API_BASE}/api/`) }
+    : message;
+
 export const api = {
-  async createMailbox() {
+  getAccessToken(mailboxId) {
+    return readAccessTokens()[mailboxId] || null;
+  },
+  // Use a token from elsewhere, e.g. a shared read-only link
+  setAccessToken(mailboxId, token) {
+    const tokens = readAccessTokens();
+    if (token) {
+      tokens[mailboxId] = token;
+    } else {
+      delete tokens[mailboxId];
+      delete memoryTokens[mailboxId];
+    }
+    writeAccessTokens(tokens);
+  },
+  // Optional { domain, localPart } for an exact address, or { prefix } for
+  // "prefix-xxxx"; a taken address rejects with status 409 and error.suggestions.
+  // ttlMinutes must be within the server's configured bounds
+  async createMailbox({ domain, localPart, prefix, ttlMinutes } = {}) {
     try {
-      const res = await fetch(`${API_BASE}/api/mailboxes`, { method: "POST" });
+      const body = {};
+      if (domain) body.domain = domain;
+      if (ttlMinutes) body.ttlMinutes = ttlMinutes;
+      if (localPart) body.localPart = localPart;
+      if (prefix) body.prefix = prefix;
+      const res = await fetch(`${API_BASE}/api/mailboxes`, {
+        method: "POST",
+        // Logged-in users become the mailbox owner
+        headers: { "Content-Type": "application/json", ...sessionHeaders() },
+        body: JSON.stringify(body),
+      });
       if (!res.ok) {
         const errorText = await res.text();
         let message = "Unable to create mailbox";
+        let suggestions;
         try {
           const parsed = JSON.parse(errorText);
           message = parsed?.error || parsed?.message || message;
+          suggestions = parsed?.suggestions;
         } catch {
           message = errorText || message;
         }
         const error = new Error(message);
         error.status = res.status;
+        error.suggestions = suggestions;
         throw error;
       }
-      return res.json();
+      const mailbox = await res.json();
+      if (mailbox?.accessToken) {
+        api.setAccessToken(mailbox.mailboxId, mailbox.accessToken);
+      }
+      return mailbox;
     } catch (error) {
       // Re-throw if it's already an Error with message
       if (error instanceof Error) {
@@ -38,9 +119,109 @@ export const api = {
       throw new Error("Network error. Please check your connection and try again.");
     }
   },
-  async getMessages(mailboxId) {
+  // Brings back a mailbox this server forgot, using the recoverySecret that
+  // createMailbox returned; the restored mailbox gets a new mailboxId
+  async restoreMailbox({ address, recoverySecret, ttlMinutes } = {}) {
     try {
-      const res = await fetch(`${API_BASE}/api/mailboxes/${mailboxId}/messages`);
+      const body = { address, recoverySecret };
+      if (ttlMinutes) body.ttlMinutes = ttlMinutes;
+      const res = await fetch(`${API_BASE}/api/mailboxes/restore`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...sessionHeaders() },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) {
+        const errorText = await res.text();
+        let message = "Unable to restore mailbox";
+        try {
+          const parsed = JSON.parse(errorText);
+          message = parsed?.error || parsed?.message || message;
+        } catch {
+          message = errorText || message;
+        }
+        const error = new Error(message);
+        error.status = res.status;
+        throw error;
+      }
+      const mailbox = await res.json();
+      if (mailbox?.accessToken) {
+        api.setAccessToken(mailbox.mailboxId, mailbox.accessToken);
+      }
+      return mailbox;
+    } catch (error) {
+      if (error instanceof Error) {
+        throw error;
+      }
+      throw new Error("Network error. Please check your connection and try again.");
+    }
+  },
+  // Domains for a picker: { domain, provider, preferred, health: { status, ... } }
+  async getDomains() {
+    try {
+      const res = await fetch(`${API_BASE}/api/domains`);
+      if (!res.ok) {
+        const errorText = await res.text();
+        let message = "Unable to load domains";
+        try {
+          const parsed = JSON.parse(errorText);
+          message = parsed?.error || parsed?.message || message;
+        } catch {
+          message = errorText || message;
+        }
+        const error = new Error(message);
+        error.status = res.status;
+        throw error;
+      }
+      return res.json();
+    } catch (error) {
+      if (error instanceof Error) {
+        throw error;
+      }
+      throw new Error("Network error. Please check your connection and try again.");
+    }
+  },
+  // Mailboxes owned by the logged-in user, on any device
+  async getMyMailboxes() {
+    try {
+      const res = await fetch(`${API_BASE}/api/me/mailboxes`, {
+        headers: sessionHeaders(),
+      });
+      if (!res.ok) {
+        const errorText = await res.text();
+        let message = "Unable to load your mailboxes";
+        try {
+          const parsed = JSON.parse(errorText);
+          message = parsed?.error || parsed?.message || message;
+        } catch {
+          message = errorText || message;
+        }
+        const error = new Error(message);
+        error.status = res.status;
+        throw error;
+      }
+      return res.json();
+    } catch (error) {
+      if (error instanceof Error) {
+        throw error;
+      }
+      throw new Error("Network error. Please check your connection and try again.");
+    }
+  },
+  // Optional { limit, since, cursor } page through the inbox; pass the
+  // previous response's nextCursor to get older messages. remoteContent: true
+  // keeps remote images (via the image proxy) in each message's safeHtml.
+  async getMessages(mailboxId, { limit, since, cursor, remoteContent } = {}) {
+    try {
+      const params = new URLSearchParams();
+      if (limit) params.set("limit", String(limit));
+      if (since) params.set("since", since);
+      if (cursor) params.set("cursor", cursor);
+      if (remoteContent) params.set("remoteContent", "true");
+      const query = params.toString() ? `?${params}` : "";
+      const res = await fetch(
+        `${API_BASE}/api/mailboxes/${mailboxId}/messages${query}`,
+        { headers: authHeaders(mailboxId) }
+      );
       if (!res.ok) {
         const errorText = await res.text();
         let message = "Unable to load inbox";
@@ -54,6 +235,46 @@ export const api = {
         error.status = res.status;
         throw error;
       }
+      const data = await res.json();
+      return { ...data, messages: data.messages.map(withApiBase) };
+    } catch (error) {
+      if (error instanceof Error) {
+        throw error;
+      }
+      throw new Error("Network error. Please check your connection and try again.");
+    }
+  },
+  // Resolves with the first message matching { from, subject (regex), contains,
+  // since }; rejects with status 408 (and error.seen) when none arrives in time
+  async waitForMessage(mailboxId, { from, subject, contains, since, timeout } = {}) {
+    try {
+      const params = new URLSearchParams();
+      if (from) params.set("from", from);
+      if (subject) params.set("subject", subject);
+      if (contains) params.set("contains", contains);
+      if (since) params.set("since", since);
+      if (timeout) params.set("timeout", String(timeout));
+      const query = params.toString() ? `?${params}` : "";
+      const res = await fetch(
+        `${API_BASE}/api/mailboxes/${mailboxId}/messages/wait${query}`,
+        { headers: authHeaders(mailboxId) }
+      );
+      if (!res.ok) {
+        const errorText = await res.text();
+        let message = "Unable to wait for message";
+        let seen;
+        try {
+          const parsed = JSON.parse(errorText);
+          message = parsed?.error || parsed?.message || message;
+          seen = parsed?.seen;
+        } catch {
+          message = errorText || message;
+        }
+        const error = new Error(message);
+        error.status = res.status;
+        error.seen = seen;
+        throw error;
+      }
       return res.json();
     } catch (error) {
       if (error instanceof Error) {
@@ -66,6 +287,7 @@ export const api = {
     try {
       const res = await fetch(`${API_BASE}/api/mailboxes/${mailboxId}/extend`, {
         method: "POST",
+        headers: authHeaders(mailboxId),
       });
       if (!res.ok) {
         const errorText = await res.text();
@@ -88,4 +310,267 @@ export const api = {
       throw new Error("Network error. Please check your connection and try again.");
     }
   },
+  async getMessage(mailboxId, messageId, { remoteContent } = {}) {
+    try {
+      const query = remoteContent ? "?remoteContent=true" : "";
+      const res = await fetch(
+        `${API_BASE}/api/mailboxes/${mailboxId}/messages/${messageId}${query}`,
+        { headers: authHeaders(mailboxId) }
+      );
+      if (!res.ok) {
+        const errorText = await res.text();
+        let message = "Unable to load message";
+        try {
+          const parsed = JSON.parse(errorText);
+          message = parsed?.error || parsed?.message || message;
+        } catch {
+          message = errorText || message;
+        }
+        const error = new Error(message);
+        error.status = res.status;
+        throw error;
+      }
+      const data = await res.json();
+      return { ...data, message: withApiBase(data.message) };
+    } catch (error) {
+      if (error instanceof Error) {
+        throw error;
+      }
+      throw new Error("Network error. Please check your connection and try again.");
+    }
+  },
+  // One-time codes, magic links and unsubscribe links found in a message
+  async extractMessage(mailboxId, messageId) {
+    try {
+      const res = await fetch(
+        `${API_BASE}/api/mailboxes/${mailboxId}/messages/${messageId}/extract`,
+        { headers: authHeaders(mailboxId) }
+      );
+      if (!res.ok) {
+        const errorText = await res.text();
+        let message = "Unable to extract message details";
+        try {
+          const parsed = JSON.parse(errorText);
+          message = parsed?.error || parsed?.message || message;
+        } catch {
+          message = errorText || message;
+        }
+        const error = new Error(message);
+        error.status = res.status;
+        throw error;
+      }
+      return res.json();
+    } catch (error) {
+      if (error instanceof Error) {
+        throw error;
+      }
+      throw new Error("Network error. Please check your connection and try again.");
+    }
+  },
+  // Parsed headers: to/cc with display names, Received chain, Authentication-Results, ...
+  async getMessageHeaders(mailboxId, messageId) {
+    try {
+      const res = await fetch(
+        `${API_BASE}/api/mailboxes/${mailboxId}/messages/${messageId}/headers`,
+        { headers: authHeaders(mailboxId) }
+      );
+      if (!res.ok) {
+        const errorText = await res.text();
+        let message = "Unable to load message headers";
+        try {
+          const parsed = JSON.parse(errorText);
+          message = parsed?.error || parsed?.message || message;
+        } catch {
+          message = errorText || message;
+        }
+        const error = new Error(message);
+        error.status = res.status;
+        throw error;
+      }
+      return res.json();
+    } catch (error) {
+      if (error instanceof Error) {
+        throw error;
+      }
+      throw new Error("Network error. Please check your connection and try again.");
+    }
+  },
+  // RFC 822 source as a Blob, e.g. to save as .eml
+  async downloadRawMessage(mailboxId, messageId) {
+    try {
+      const res = await fetch(
+        `${API_BASE}/api/mailboxes/${mailboxId}/messages/${messageId}/raw`,
+        { headers: authHeaders(mailboxId) }
+      );
+      if (!res.ok) {
+        const errorText = await res.text();
+        let message = "Unable to download message source";
+        try {
+          const parsed = JSON.parse(errorText);
+          message = parsed?.error || parsed?.message || message;
+        } catch {
+          message = errorText || message;
+        }
+        const error = new Error(message);
+        error.status = res.status;
+        throw error;
+      }
+      return res.blob();
+    } catch (error) {
+      if (error instanceof Error) {
+        throw error;
+      }
+      throw new Error("Network error. Please check your connection and try again.");
+    }
+  },
+  async markMessageSeen(mailboxId, messageId, seen = true) {
+    try {
+      const res = await fetch(
+        `${API_BASE}/api/mailboxes/${mailboxId}/messages/${messageId}`,
+        {
+          method: "PATCH",
+          headers: {
+            "Content-Type": "application/json",
+            ...authHeaders(mailboxId),
+          },
+          body: JSON.stringify({ seen }),
+        }
+      );
+      if (!res.ok) {
+        const errorText = await res.text();
+        let message = "Unable to update message";
+        try {
+          const parsed = JSON.parse(errorText);
+          message = parsed?.error || parsed?.message || message;
+        } catch {
+          message = errorText || message;
+        }
+        const error = new Error(message);
+        error.status = res.status;
+        throw error;
+      }
+      return res.json();
+    } catch (error) {
+      if (error instanceof Error) {
+        throw error;
+      }
+      throw new Error("Network error. Please check your connection and try again.");
+    }
+  },
+  async deleteMessage(mailboxId, messageId) {
+    try {
+      const res = await fetch(
+        `${API_BASE}/api/mailboxes/${mailboxId}/messages/${messageId}`,
+        { method: "DELETE", headers: authHeaders(mailboxId) }
+      );
+      if (!res.ok) {
+        const errorText = await res.text();
+        let message = "Unable to delete message";
+        try {
+          const parsed = JSON.parse(errorText);
+          message = parsed?.error || parsed?.message || message;
+        } catch {
+          message = errorText || message;
+        }
+        const error = new Error(message);
+        error.status = res.status;
+        throw error;
+      }
+      return null;
+    } catch (error) {
+      if (error instanceof Error) {
+        throw error;
+      }
+      throw new Error("Network error. Please check your connection and try again.");
+    }
+  },
+  // Live inbox updates over Server-Sent Events, falling back to polling
+  // getMessages when EventSource is unavailable or the stream fails.
+  // Returns a function that stops the subscription.
+  subscribe(
+    mailboxId,
+    { onMessage, onExtended, onExpired, onError, pollIntervalMs = 5000 } = {}
+  ) {
+    let stopped = false;
+    let source = null;
+    let pollTimer = null;
+
+    const stop = () => {
+      stopped = true;
+      source?.close();
+      clearTimeout(pollTimer);
+    };
+
+    const startPolling = () => {
+      const knownIds = new Set();
+      let seeded = false;
+      let expiresAt = null;
+      const poll = async () => {
+        if (stopped) return;
+        try {
+          const data = await api.getMessages(mailboxId);
+          const fresh = (data.messages || [])
+            .filter((message) => !knownIds.has(message.id))
+            .reverse();
+          fresh.forEach((message) => {
+            knownIds.add(message.id);
+            if (seeded) onMessage?.(message);
+          });
+          if (expiresAt && data.mailbox?.expiresAt !== expiresAt) {
+            onExtended?.(data.mailbox);
+          }
+          expiresAt = data.mailbox?.expiresAt || expiresAt;
+          seeded = true;
+        } catch (error) {
+          if (error.status === 404 || error.status === 410) {
+            stop();
+            onExpired?.({ mailboxId });
+            return;
+          }
+          onError?.(error);
+        }
+        if (!stopped) {
+          pollTimer = setTimeout(poll, pollIntervalMs);
+        }
+      };
+      poll();
+    };
+
+    if (typeof EventSource === "undefined") {
+      startPolling();
+      return stop;
+    }
+
+    // EventSource cannot send headers, so the token goes in the query string
+    const token = api.getAccessToken(mailboxId);
+    source = new EventSource(
+      `${API_BASE}/api/mailboxes/${mailboxId}/stream${
+        token ? `?access_token=${encodeURIComponent(token)}` : ""
+      }`
+    );
+    const parse = (event) => {
+      try {
+        return JSON.parse(event.data);
+      } catch {
+        return {};
+      }
+    };
+    source.addEventListener("message.new", (event) => {
+      onMessage?.(parse(event).message);
+    });
+    source.addEventListener("mailbox.extended", (event) => {
+      onExtended?.(parse(event).mailbox);
+    });
+    source.addEventListener("mailbox.expired", () => {
+      stop();
+      onExpired?.({ mailboxId });
+    });
+    source.onerror = () => {
+      // EventSource retries on its own unless the stream was rejected outright
+      if (stopped || source.readyState !== EventSource.CLOSED) return;
+      source = null;
+      startPolling();
+    };
+    return stop;
+  },
 };
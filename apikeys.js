@@ -0,0 +1,197 @@
+import crypto from "crypto";
+import dayjs from "dayjs";
+import { readFileSync } from "fs";
+
+// X-API-Key clients get their own quotas instead of the shared per-IP limiter:
+//   rateLimit       - requests per rateWindowMinutes
+//   maxMailboxes    - mailboxes alive at the same time
+//   dailyCreations  - mailboxes created per UTC day
+// Keys come from API_KEYS (JSON array) / API_KEYS_PATH (JSON file) as
+// { id, key, ...limits }, or from the key store as { id, hash, ...limits }
+// saved under the SHA-256 hex of the key. Only hashes are kept in memory.
+const DEFAULT_LIMITS = {
+  rateLimit: 1000,
+  rateWindowMinutes: 15,
+  maxMailboxes: 50,
+  dailyCreations: 500,
+};
+
+export const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+const quotaError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const loadConfiguredKeys = () => {
+  const { API_KEYS, API_KEYS_PATH } = process.env;
+  let entries = [];
+  try {
+    if (API_KEYS_PATH) {
+      entries = JSON.parse(readFileSync(API_KEYS_PATH, "utf8"));
+    } else if (API_KEYS) {
+      entries = JSON.parse(API_KEYS);
+    }
+  } catch (error) {
+    throw new Error(`Invalid API key configuration: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error("API key configuration must be a JSON array");
+  }
+  // Key ids name the usage records, so they follow the store's id rules
+  const badEntry = entries.find(
+    (entry) => !/^[A-Za-z0-9-]+$/.test(String(entry?.id))
+  );
+  if (badEntry) {
+    throw new Error(
+      `API key id "${badEntry?.id}" may only contain letters, digits and "-"`
+    );
+  }
+  return new Map(
+    entries
+      .filter((entry) => entry.key)
+      .map(({ key, ...entry }) => [hashApiKey(key), entry])
+  );
+};
+
+export const createApiKeyManager = ({ keyStore, usageStore }) => {
+  const configuredKeys = loadConfiguredKeys();
+  const windows = new Map(); // keyId -> { count, resetAt }
+  const activeMailboxes = new Map(); // keyId -> Set of mailboxIds
+
+  const resolve = async (rawKey) => {
+    const hash = hashApiKey(rawKey);
+    const entry = configuredKeys.get(hash) || (await keyStore.get(hash));
+    if (!entry || entry.disabled) return null;
+    return { ...DEFAULT_LIMITS, ...entry };
+  };
+
+  // Daily quotas reset at midnight UTC
+  const utcDay = (date = dayjs()) => date.toISOString().slice(0, 10);
+  const usageRecordId = (keyId, day) => `${keyId}-${day.replace(/-/g, "")}`;
+  const usageId = (key) => usageRecordId(key.id, utcDay());
+
+  const getUsage = async (key) => {
+    const usage = await usageStore.get(usageId(key));
+    return usage?.created || 0;
+  };
+
+  const countActive = (key) => activeMailboxes.get(key.id)?.size || 0;
+
+  const setQuotaHeaders = async (res, key) => {
+    const window = windows.get(key.id);
+    res.set({
+      "RateLimit-Limit": String(key.rateLimit),
+      "RateLimit-Remaining": String(
+        Math.max(0, key.rateLimit - (window?.count || 0))
+      ),
+      "RateLimit-Reset": String(
+        Math.max(0, Math.ceil(((window?.resetAt || 0) - Date.now()) / 1000))
+      ),
+      "X-Quota-Mailboxes-Limit": String(key.maxMailboxes),
+      "X-Quota-Mailboxes-Remaining": String(
+        Math.max(0, key.maxMailboxes - countActive(key))
+      ),
+      "X-Quota-Daily-Creations-Limit": String(key.dailyCreations),
+      "X-Quota-Daily-Creations-Remaining": String(
+        Math.max(0, key.dailyCreations - (await getUsage(key)))
+      ),
+    });
+  };
+
+  // Identifies the key and applies its request rate; requests without a key
+  // fall through to the per-IP limiter
+  const middleware = async (req, res, next) => {
+    try {
+      const rawKey = req.get("x-api-key");
+      if (!rawKey) return next();
+      const key = await resolve(rawKey);
+      if (!key) {
+        throw quotaError("Invalid or disabled API key", 401);
+      }
+
+      const now = Date.now();
+      let window = windows.get(key.id);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + key.rateWindowMinutes * 60 * 1000 };
+        windows.set(key.id, window);
+      }
+      window.count += 1;
+      req.apiKey = key;
+      await setQuotaHeaders(res, key);
+      if (window.count > key.rateLimit) {
+        res.set(
+          "Retry-After",
+          String(Math.ceil((window.resetAt - now) / 1000))
+        );
+        throw quotaError("API key request limit reached, try again later", 429);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Throws 429 when the key may not create another mailbox right now
+  const checkCreation = async (key) => {
+    if (countActive(key) >= key.maxMailboxes) {
+      throw quotaError(
+        `API key has reached its limit of ${key.maxMailboxes} active mailboxes`,
+        429
+      );
+    }
+    if ((await getUsage(key)) >= key.dailyCreations) {
+      throw quotaError(
+        `API key has reached its limit of ${key.dailyCreations} mailboxes per day`,
+        429
+      );
+    }
+  };
+
+  const trackMailbox = (mailbox) => {
+    if (!mailbox.apiKeyId) return;
+    if (!activeMailboxes.has(mailbox.apiKeyId)) {
+      activeMailboxes.set(mailbox.apiKeyId, new Set());
+    }
+    activeMailboxes.get(mailbox.apiKeyId).add(mailbox.mailboxId);
+  };
+
+  const releaseMailbox = (mailbox) => {
+    activeMailboxes.get(mailbox.apiKeyId)?.delete(mailbox.mailboxId);
+  };
+
+  const recordCreation = async (key, mailbox) => {
+    trackMailbox(mailbox);
+    const id = usageId(key);
+    const usage = (await usageStore.get(id)) || {
+      keyId: key.id,
+      day: utcDay(),
+      created: 0,
+    };
+    usage.created += 1;
+    await usageStore.set(id, usage);
+  };
+
+  // Usage records older than yesterday are no longer needed
+  const pruneUsage = async () => {
+    const cutoff = utcDay(dayjs().subtract(1, "day"));
+    const records = await usageStore.list();
+    for (const usage of records) {
+      if (usage.day < cutoff) {
+        await usageStore.delete(usageRecordId(usage.keyId, usage.day));
+      }
+    }
+  };
+
+  return {
+    middleware,
+    setQuotaHeaders,
+    checkCreation,
+    recordCreation,
+    trackMailbox,
+    releaseMailbox,
+    pruneUsage,
+  };
+};
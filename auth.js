@@ -1,34 +1,110 @@
-// Simple frontend auth using localStorage (no real backend)
+// Thin client over the server's /api/auth routes. Only the session token and
+// a cached copy of the user (never the password) are kept in localStorage.
 
 const STORAGE_KEY = 'tempMail_user';
+const SESSION_KEY = 'tempMail_session';
 
+const getApiBase = () => {
+  if (import.meta.env?.VITE_API_BASE_URL) {
+    return import.meta.env.VITE_API_BASE_URL.replace(/\/+$/, '');
+  }
+  return '';
+};
+
+const API_BASE = getApiBase();
+
+function saveSession({ user, token }) {
+  const existing = getCurrentUser();
+  // avatar is a local display preference, not stored on the server
+  const cached = { ...user, avatar: existing?.email === user.email ? existing.avatar : null };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(cached));
+  if (token) {
+    localStorage.setItem(SESSION_KEY, token);
+  }
+  return cached;
+}
+
+function clearSession() {
+  localStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem(SESSION_KEY);
+}
+
+async function request(path, { method = 'GET', body } = {}) {
+  const token = getSessionToken();
+  let res;
+  try {
+    res = await fetch(`${API_BASE}/api/auth${path}`, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch {
+    throw new Error('Network error. Please check your connection and try again.');
+  }
+  if (res.status === 204) return null;
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    const error = new Error(data?.error || data?.message || 'Request failed');
+    error.status = res.status;
+    throw error;
+  }
+  return data;
+}
+
+export function getSessionToken() {
+  try {
+    return localStorage.getItem(SESSION_KEY);
+  } catch {
+    return null;
+  }
+}
+
+// Cached user from the last login/signup; call refreshUser() to revalidate
 export function getCurrentUser() {
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
+    if (!raw || !getSessionToken()) return null;
     return JSON.parse(raw);
   } catch {
     return null;
   }
 }
 
-export function login({ email, password }) {
-  const existing = getCurrentUser();
-  const user = { 
-    email,
-    password: password || existing?.password,
-    avatar: existing?.avatar
-  };
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(user));
-  return user;
+export async function login({ email, password }) {
+  const { user, token } = await request('/login', {
+    method: 'POST',
+    body: { email, password },
+  });
+  return saveSession({ user, token });
+}
+
+export async function signup({ email, password }) {
+  const { user, token } = await request('/signup', {
+    method: 'POST',
+    body: { email, password },
+  });
+  return saveSession({ user, token });
 }
 
-export function signup({ email, password }) {
-  const user = { email, password, avatar: null };
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(user));
-  return user;
+// Re-reads the user from the server; clears the local session if it expired
+export async function refreshUser() {
+  if (!getSessionToken()) return null;
+  try {
+    const { user } = await request('/me');
+    return saveSession({ user });
+  } catch (error) {
+    if (error.status === 401) {
+      clearSession();
+      return null;
+    }
+    throw error;
+  }
 }
 
+// Local-only profile fields such as avatar
 export function updateUser(updates) {
   const current = getCurrentUser();
   if (!current) return null;
@@ -37,8 +113,14 @@ export function updateUser(updates) {
   return updated;
 }
 
-export function logout() {
-  localStorage.removeItem(STORAGE_KEY);
+export async function logout() {
+  try {
+    if (getSessionToken()) {
+      await request('/logout', { method: 'POST' });
+    }
+  } catch {
+    // the session is dropped locally either way
+  } finally {
+    clearSession();
+  }
 }
-
-
@@ -0,0 +1,146 @@
+import dayjs from "dayjs";
+import { logger } from "./logger.js";
+
+// Removes upstream accounts of deleted/expired mailboxes. Failed removals are
+// kept in their own store and retried with backoff by the cleanup sweep;
+// entries that run out of attempts stay there, marked "failed", for inspection.
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const FAILED_ENTRY_RETENTION_DAYS = 7;
+
+export const createCleanupQueue = ({ store, getProvider, maxAttempts = 6 }) => {
+  const removeUpstream = async (entry) => {
+    try {
+      await getProvider(entry.provider).deleteAccount(entry);
+      return null;
+    } catch (error) {
+      // The account is already gone upstream, nothing left to clean up
+      if ([404, 410].includes(error.status)) return null;
+      return error;
+    }
+  };
+
+  const scheduleRetry = async (entry, error) => {
+    entry.attempts += 1;
+    entry.lastError = error.message;
+    entry.lastStatus = error.status || null;
+    entry.updatedAt = dayjs().toISOString();
+    if (entry.attempts >= maxAttempts) {
+      entry.status = "failed";
+      entry.nextAttemptAt = null;
+      logger.error("[Cleanup Failed]", {
+        mailboxId: entry.mailboxId,
+        address: entry.address,
+        attempts: entry.attempts,
+        lastError: entry.lastError,
+      });
+    } else {
+      const delay = Math.min(
+        BASE_RETRY_DELAY_MS * Math.pow(2, entry.attempts - 1),
+        MAX_RETRY_DELAY_MS
+      );
+      entry.status = "pending";
+      entry.nextAttemptAt = dayjs().add(delay, "ms").toISOString();
+      logger.warn("[Cleanup Retry]", {
+        mailboxId: entry.mailboxId,
+        address: entry.address,
+        lastError: entry.lastError,
+        delayMs: delay,
+        attempt: entry.attempts,
+        maxAttempts,
+      });
+    }
+    await store.set(entry.mailboxId, entry);
+  };
+
+  const toEntry = (mailbox) => ({
+    mailboxId: mailbox.mailboxId,
+    address: mailbox.address,
+    provider: mailbox.provider,
+    accountId: mailbox.accountId,
+    password: mailbox.password,
+    recoverySecretHash: mailbox.recoverySecretHash || null,
+    token: mailbox.token,
+    tokenExpiresAt: mailbox.tokenExpiresAt,
+    refreshToken: mailbox.refreshToken,
+    attempts: 0,
+    createdAt: dayjs().toISOString(),
+  });
+
+  // Try to remove the upstream account now; queue a retry if that fails.
+  // With delayMs the first attempt waits that long instead, which keeps the
+  // account restorable meanwhile. Resolves to true when the account is gone.
+  const removeAccount = async (mailbox, { delayMs = 0 } = {}) => {
+    if (delayMs > 0) {
+      const entry = toEntry(mailbox);
+      await store.set(entry.mailboxId, {
+        ...entry,
+        status: "pending",
+        nextAttemptAt: dayjs().add(delayMs, "ms").toISOString(),
+        updatedAt: entry.createdAt,
+      });
+      return false;
+    }
+    const error = await removeUpstream(mailbox);
+    if (!error) return true;
+    await scheduleRetry(toEntry(mailbox), error);
+    return false;
+  };
+
+  const processDue = async (now = dayjs()) => {
+    const entries = await store.list();
+    for (const entry of entries) {
+      if (entry.status === "failed") {
+        if (
+          now.isAfter(
+            dayjs(entry.updatedAt).add(FAILED_ENTRY_RETENTION_DAYS, "day")
+          )
+        ) {
+          await store.delete(entry.mailboxId);
+        }
+        continue;
+      }
+      if (entry.nextAttemptAt && now.isBefore(entry.nextAttemptAt)) continue;
+      const error = await removeUpstream(entry);
+      if (error) {
+        await scheduleRetry(entry, error);
+      } else {
+        await store.delete(entry.mailboxId);
+        logger.info("[Cleanup Done]", {
+          mailboxId: entry.mailboxId,
+          address: entry.address,
+        });
+      }
+    }
+  };
+
+  // Queued removals of an address, e.g. to restore an expired mailbox
+  const find = async (address) =>
+    (await store.list()).filter(
+      (entry) => entry.address?.toLowerCase() === address.toLowerCase()
+    );
+
+  // Drop queued removals of an address that is in use again (restored)
+  const cancel = async (address) => {
+    const entries = await store.list();
+    for (const entry of entries) {
+      if (entry.address?.toLowerCase() === address.toLowerCase()) {
+        await store.delete(entry.mailboxId);
+        logger.info("[Cleanup Cancelled]", {
+          mailboxId: entry.mailboxId,
+          address: entry.address,
+        });
+      }
+    }
+  };
+
+  const stats = async () => {
+    const entries = await store.list();
+    return {
+      pending: entries.filter((entry) => entry.status === "pending").length,
+      failed: entries.filter((entry) => entry.status === "failed").length,
+    };
+  };
+
+  return { removeAccount, processDue, find, cancel, stats };
+};
@@ -0,0 +1,382 @@
+import { readFileSync } from "fs";
+import { Parser } from "htmlparser2";
+import { logger } from "./logger.js";
+
+// Pulls one-time codes, magic/verification links and unsubscribe links out of
+// a normalized message. Every hit carries a 0..1 confidence score. The keyword
+// lists cover the common languages; EXTRACTION_RULES_PATH can point to a JSON
+// file whose keys replace the matching defaults below.
+export const DEFAULT_EXTRACTION_RULES = {
+  codeKeywords: [
+    // en
+    "code",
+    "otp",
+    "one-time",
+    "one time",
+    "passcode",
+    "pin",
+    "verification",
+    "security code",
+    "login code",
+    "sign-in code",
+    "token",
+    // es / pt / it
+    "código",
+    "codigo",
+    "clave",
+    "contraseña temporal",
+    "senha",
+    "codice",
+    // fr / de / nl
+    "code de vérification",
+    "code de confirmation",
+    "bestätigungscode",
+    "sicherheitscode",
+    "verifizierungscode",
+    "verificatiecode",
+    "inlogcode",
+    // ru / pl / tr
+    "код",
+    "kod",
+    "doğrulama",
+    // zh / ja / ko
+    "验证码",
+    "驗證碼",
+    "認証コード",
+    "確認コード",
+    "인증번호",
+    "인증 코드",
+  ],
+  linkKeywords: [
+    // en
+    "verify",
+    "confirm",
+    "activate",
+    "validate",
+    "magic link",
+    "sign in",
+    "log in",
+    "login",
+    "get started",
+    "reset password",
+    "complete registration",
+    "click here",
+    // es / pt / it
+    "verificar",
+    "confirmar",
+    "activar",
+    "ativar",
+    "iniciar sesión",
+    "entrar",
+    "verifica",
+    "conferma",
+    "attiva",
+    "accedi",
+    // fr / de / nl
+    "vérifier",
+    "confirmer",
+    "activer",
+    "se connecter",
+    "bestätigen",
+    "verifizieren",
+    "aktivieren",
+    "anmelden",
+    "bevestig",
+    "activeer",
+    "inloggen",
+    // ru / pl / tr
+    "подтвердить",
+    "активировать",
+    "войти",
+    "potwierdź",
+    "aktywuj",
+    "doğrula",
+    // zh / ja / ko
+    "验证",
+    "確認",
+    "認証",
+    "登录",
+    "ログイン",
+    "인증",
+    "확인",
+  ],
+  linkPathPatterns: [
+    "verify",
+    "verification",
+    "confirm",
+    "activate",
+    "magic",
+    "signin",
+    "sign-in",
+    "login",
+    "auth",
+    "token=",
+    "reset",
+    "invite",
+    "validate",
+  ],
+  unsubscribeKeywords: [
+    "unsubscribe",
+    "opt out",
+    "opt-out",
+    "manage preferences",
+    "email preferences",
+    "darse de baja",
+    "cancelar suscripción",
+    "descadastrar",
+    "se désabonner",
+    "désinscrire",
+    "désabonnement",
+    "abmelden",
+    "abbestellen",
+    "disiscriviti",
+    "afmelden",
+    "uitschrijven",
+    "отписаться",
+    "wypisz",
+    "abonelikten çık",
+    "退订",
+    "取消订阅",
+    "配信停止",
+    "수신거부",
+  ],
+  // Numbers that are almost never codes
+  codeStopPatterns: [
+    "^(19|20)\\d{2}$", // years
+    "^0+$",
+  ],
+  minCodeLength: 4,
+  maxCodeLength: 10,
+  keywordWindow: 80, // characters before a code searched for a keyword
+  minConfidence: 0.3,
+};
+
+const loadRules = () => {
+  const rulesPath = process.env.EXTRACTION_RULES_PATH;
+  if (!rulesPath) return DEFAULT_EXTRACTION_RULES;
+  try {
+    const overrides = JSON.parse(readFileSync(rulesPath, "utf8"));
+    logger.info("[Extraction Rules] Loaded overrides", { rulesPath });
+    return { ...DEFAULT_EXTRACTION_RULES, ...overrides };
+  } catch (error) {
+    logger.error(
+      "[Extraction Rules] Could not load overrides, using defaults",
+      {
+        rulesPath,
+        message: error.message,
+      }
+    );
+    return DEFAULT_EXTRACTION_RULES;
+  }
+};
+
+const rules = loadRules();
+
+const clamp = (value) =>
+  Math.round(Math.max(0, Math.min(1, value)) * 100) / 100;
+
+const includesAny = (text, keywords) => {
+  const lower = (text || "").toLowerCase();
+  return keywords.some((keyword) => lower.includes(keyword.toLowerCase()));
+};
+
+const SKIPPED_TAGS = new Set(["script", "style", "head", "title"]);
+const LINE_BREAK_TAGS = /^(p|div|tr|li|h\d)$/;
+
+const collapseSpaces = (text) => text.replace(/[ \t]+/g, " ").trim();
+
+// One pass of the same parser sanitize-html uses, so the cost stays linear
+// in the size of the HTML however its tags are (un)balanced. Returns the
+// visible text and the anchors as [{ href, text }]; an anchor left open ends
+// where the next one starts or at the end of the document.
+const parseHtml = (html) => {
+  const chunks = [];
+  const anchors = [];
+  let skipDepth = 0;
+  let anchor = null;
+  const closeAnchor = () => {
+    if (!anchor) return;
+    anchors.push({ href: anchor.href, text: collapseSpaces(anchor.text) });
+    anchor = null;
+  };
+  const parser = new Parser(
+    {
+      onopentag: (name, attribs) => {
+        if (SKIPPED_TAGS.has(name)) skipDepth += 1;
+        if (name === "a") {
+          closeAnchor();
+          if (attribs.href !== undefined) {
+            anchor = { href: attribs.href, text: "" };
+          }
+        }
+        chunks.push(name === "br" ? "\n" : " ");
+      },
+      ontext: (text) => {
+        if (skipDepth) return;
+        chunks.push(text);
+        if (anchor) anchor.text += text;
+      },
+      onclosetag: (name) => {
+        if (SKIPPED_TAGS.has(name)) skipDepth = Math.max(0, skipDepth - 1);
+        if (name === "a") closeAnchor();
+        chunks.push(LINE_BREAK_TAGS.test(name) ? "\n" : " ");
+      },
+    },
+    { decodeEntities: true, lowerCaseTags: true }
+  );
+  parser.end(html);
+  closeAnchor();
+  return { text: collapseSpaces(chunks.join("")), anchors };
+};
+
+const collectLinks = (anchors, text) => {
+  const links = new Map(); // url -> { url, text }
+  anchors.forEach(({ href, text: label }) => {
+    const url = href.trim();
+    if (!/^https?:\/\//i.test(url)) return;
+    const existing = links.get(url);
+    if (!existing || (!existing.text && label)) {
+      links.set(url, { url, text: label });
+    }
+  });
+  let match;
+  const urlPattern = /https?:\/\/[^\s<>"')\]]+/gi;
+  while ((match = urlPattern.exec(text || "")) !== null) {
+    const url = match[0].replace(/[.,;:!?]+$/, "");
+    if (!links.has(url)) {
+      links.set(url, { url, text: "" });
+    }
+  }
+  return [...links.values()];
+};
+
+const scoreCodes = (content, subject) => {
+  const candidates = new Map(); // value -> candidate
+  const { minCodeLength, maxCodeLength, keywordWindow } = rules;
+  const stopPatterns = rules.codeStopPatterns.map(
+    (pattern) => new RegExp(pattern)
+  );
+  const patterns = [
+    // 123456, 123 456, 123-456, 12 34 56
+    {
+      type: "numeric",
+      regex:
+        /(?<![\w./:-])(\d{2,5}(?:[ -]\d{2,5}){1,2}(?![ -]?\d)|\d+)(?![\w/:-]|\.\d)/g,
+    },
+    // A1B2C3, ABC-123 (must mix letters and digits)
+    {
+      type: "alphanumeric",
+      regex:
+        /(?<![\w./:-])(?=[A-Z0-9-]*\d)(?=[A-Z0-9-]*[A-Z])([A-Z0-9]{2,}(?:-[A-Z0-9]{2,})*)(?![\w/:-])/g,
+    },
+  ];
+  const sources = [
+    { text: subject || "", inSubject: true },
+    { text: content, inSubject: false },
+  ];
+
+  sources.forEach(({ text, inSubject }) => {
+    patterns.forEach(({ type, regex }) => {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const raw = match[1];
+        const value = raw.replace(/[ -]/g, "");
+        if (value.length < minCodeLength || value.length > maxCodeLength) {
+          continue;
+        }
+        if (stopPatterns.some((pattern) => pattern.test(value))) continue;
+
+        const before = text.slice(
+          Math.max(0, match.index - keywordWindow),
+          match.index
+        );
+        const after = text.slice(
+          match.index + raw.length,
+          match.index + raw.length + 3
+        );
+        let score = type === "numeric" ? 0.3 : 0.2;
+        const nearKeyword = includesAny(before, rules.codeKeywords);
+        if (nearKeyword) score += 0.4;
+        // Grouped digits without a keyword are more likely phone numbers
+        if (raw !== value && !nearKeyword) score -= 0.2;
+        if (inSubject) score += 0.1;
+        if (value.length === 6) score += 0.1;
+        // Prices, percentages and amounts are rarely codes
+        if (
+          /^[%$€£]|^\s?(usd|eur|%)/i.test(after) ||
+          /[$€£]\s?$/.test(before)
+        ) {
+          score -= 0.4;
+        }
+        // Codes are usually set apart on their own line
+        if (/(^|\n)\s*$/.test(before) && /^\s*(\n|$)/.test(after)) score += 0.1;
+
+        const existing = candidates.get(value);
+        if (!existing || existing.confidence < score) {
+          candidates.set(value, { value, type, confidence: clamp(score) });
+        }
+      }
+    });
+  });
+
+  return [...candidates.values()]
+    .filter((candidate) => candidate.confidence >= rules.minConfidence)
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+const scoreLinks = (links) => {
+  const magicLinks = [];
+  const unsubscribeLinks = [];
+  const pathPatterns = rules.linkPathPatterns.map((pattern) =>
+    pattern.toLowerCase()
+  );
+
+  links.forEach(({ url, text }) => {
+    const lowerUrl = url.toLowerCase();
+    if (/\.(png|jpe?g|gif|svg|webp|css|js|ico)(\?|$)/.test(lowerUrl)) return;
+
+    const textUnsubscribe = includesAny(text, rules.unsubscribeKeywords);
+    const urlUnsubscribe = /unsub|opt-?out|optout|preferences/.test(lowerUrl);
+    if (textUnsubscribe || urlUnsubscribe) {
+      unsubscribeLinks.push({
+        url,
+        text,
+        confidence: clamp(
+          (textUnsubscribe ? 0.6 : 0) + (urlUnsubscribe ? 0.4 : 0) + 0.1
+        ),
+      });
+      return;
+    }
+
+    const textMatch = includesAny(text, rules.linkKeywords);
+    const urlMatch = pathPatterns.some((pattern) => lowerUrl.includes(pattern));
+    // Long opaque query strings are typical of one-time links
+    const hasToken = /[?&/][\w-]*=?[A-Za-z0-9_-]{20,}/.test(url);
+    const score =
+      0.1 + (textMatch ? 0.5 : 0) + (urlMatch ? 0.3 : 0) + (hasToken ? 0.1 : 0);
+    if (score >= rules.minConfidence) {
+      magicLinks.push({ url, text, confidence: clamp(score) });
+    }
+  });
+
+  const byConfidence = (a, b) => b.confidence - a.confidence;
+  return {
+    magicLinks: magicLinks.sort(byConfidence),
+    unsubscribeLinks: unsubscribeLinks.sort(byConfidence),
+  };
+};
+
+export const extractFromMessage = (message) => {
+  const parsed = message.html
+    ? parseHtml(message.html)
+    : { text: "", anchors: [] };
+  const text = [message.body || "", parsed.text].filter(Boolean).join("\n");
+  const links = collectLinks(parsed.anchors, message.body || "");
+  // Keep URLs out of the text so query-string digits are not read as codes
+  const content = text.replace(/https?:\/\/\S+/gi, " ");
+  return {
+    codes: scoreCodes(content, message.subject),
+    ...scoreLinks(links),
+  };
+};
@@ -0,0 +1,130 @@
+import crypto from "crypto";
+import { classifyHost } from "./network.js";
+
+// Fetches remote message images on the client's behalf so opening a message
+// does not reveal the reader's IP, cookies or referrer to the sender. Only
+// URLs signed by this server are proxied, so the endpoint cannot be used as
+// an open relay.
+const MAX_REDIRECTS = 3;
+const ALLOWED_IMAGE_TYPES = /^image\/(png|jpe?g|gif|webp|avif|bmp|x-icon)$/i;
+// Longer image URLs are not proxied; the OpenAPI spec caps ?url= to match
+export const MAX_PROXY_URL_LENGTH = 2048;
+
+const proxyError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+export const createImageProxy = ({
+  secret = crypto.randomBytes(32).toString("hex"),
+  maxBytes = 5 * 1024 * 1024,
+  timeoutMs = 10 * 1000,
+  basePath = "/api/proxy/image",
+} = {}) => {
+  const sign = (url) =>
+    crypto
+      .createHmac("sha256", secret)
+      .update(url)
+      .digest("base64url")
+      .slice(0, 32);
+
+  // null for URLs too long to proxy, so the image is dropped instead
+  const buildUrl = (url) =>
+    url.length > MAX_PROXY_URL_LENGTH
+      ? null
+      : `${basePath}?url=${encodeURIComponent(url)}&sig=${sign(url)}`;
+
+  const verify = (url, sig) => {
+    if (typeof url !== "string" || typeof sig !== "string") return false;
+    const expected = Buffer.from(sign(url));
+    const actual = Buffer.from(sig);
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  };
+
+  // Rejects non-http(s) URLs and hosts that resolve to private addresses
+  const assertPublicUrl = async (value) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw proxyError("Invalid image URL", 400);
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw proxyError("Image URL must use http or https", 400);
+    }
+    const verdict = await classifyHost(url.hostname);
+    if (verdict === "private") {
+      throw proxyError("Image URL must point to a public host", 403);
+    }
+    if (verdict === "unresolved") {
+      throw proxyError("Image host could not be resolved", 502);
+    }
+    return url;
+  };
+
+  // Returns { contentType, body } with body capped at maxBytes
+  const fetchImage = async (value) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      let url = await assertPublicUrl(value);
+      let response;
+      for (let hop = 0; ; hop += 1) {
+        response = await fetch(url, {
+          redirect: "manual",
+          signal: controller.signal,
+          headers: { Accept: "image/*" },
+        });
+        const location = response.headers.get("location");
+        if (response.status < 300 || response.status >= 400 || !location) {
+          break;
+        }
+        if (hop >= MAX_REDIRECTS) {
+          throw proxyError("Too many redirects", 502);
+        }
+        url = await assertPublicUrl(new URL(location, url).toString());
+      }
+
+      if (!response.ok) {
+        throw proxyError(`Upstream image returned ${response.status}`, 502);
+      }
+      const contentType = (response.headers.get("content-type") || "")
+        .split(";")[0]
+        .trim();
+      // SVG can carry scripts, so it is never proxied
+      if (!ALLOWED_IMAGE_TYPES.test(contentType)) {
+        throw proxyError("Upstream content is not a supported image", 415);
+      }
+      if (Number(response.headers.get("content-length")) > maxBytes) {
+        throw proxyError("Image is too large", 413);
+      }
+
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          throw proxyError("Image is too large", 413);
+        }
+        chunks.push(chunk);
+      }
+      return { contentType, body: Buffer.concat(chunks) };
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw proxyError("Image request timed out", 504);
+      }
+      if (!error.status) {
+        throw proxyError("Failed to fetch image", 502);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+
+  return { buildUrl, verify, fetchImage };
+};
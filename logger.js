@@ -0,0 +1,113 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Leveled logger writing one JSON object per line (LOG_FORMAT=pretty for
+// readable local output). Lines logged while handling a request carry its
+// requestId, including those from provider calls made on its behalf.
+// Secrets never reach the output: fields named like passwords or tokens are
+// replaced, and token-shaped substrings are masked in every string.
+// LOG_LEVEL=silent turns logging off, e.g. for test runs
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 5;
+
+const SECRET_KEY =
+  /pass(word)?|token|secret|authorization|cookie|api[-_]?key|signature|^sig$/i;
+const SECRET_VALUES = [
+  [/\b(Bearer|Basic)\s+\S+/gi, `$1 ${REDACTED}`],
+  [/\b(mbx|ses|whsec|rec)_[A-Za-z0-9_]+/g, REDACTED],
+  // JWTs, which is what mail.tm tokens are
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+];
+
+const requestContext = new AsyncLocalStorage();
+
+export const runWithContext = (context, callback) =>
+  requestContext.run(context, callback);
+
+export const getRequestId = () => requestContext.getStore()?.requestId;
+
+const redactString = (value) =>
+  SECRET_VALUES.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    value
+  );
+
+export const redact = (value, depth = 0) => {
+  if (typeof value === "string") return redactString(value);
+  if (!value || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[Object]";
+  if (value instanceof Error) {
+    return redact(
+      {
+        message: value.message,
+        status: value.status,
+        stack: value.stack?.split("\n").slice(0, 10).join("\n"),
+      },
+      depth + 1
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY.test(key) && item !== null && item !== undefined
+        ? REDACTED
+        : redact(item, depth + 1),
+    ])
+  );
+};
+
+const formatPretty = ({ time, level, msg, ...fields }) => {
+  const details = Object.entries(fields)
+    .map(([key, value]) =>
+      typeof value === "string"
+        ? `${key}=${value}`
+        : `${key}=${JSON.stringify(value)}`
+    )
+    .join(" ");
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${
+    details ? ` ${details}` : ""
+  }`;
+};
+
+export const createLogger = ({
+  level = process.env.LOG_LEVEL || "info",
+  format = process.env.LOG_FORMAT || "json",
+  bindings = {},
+} = {}) => {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const write = (entryLevel, msg, fields = {}) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const requestId = getRequestId();
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...(requestId ? { requestId } : {}),
+      ...bindings,
+      ...fields,
+    });
+    const line =
+      format === "pretty" ? formatPretty(entry) : JSON.stringify(entry);
+    if (LEVELS[entryLevel] >= LEVELS.warn) {
+      process.stderr.write(`${line}\n`);
+    } else {
+      process.stdout.write(`${line}\n`);
+    }
+  };
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    // Logger with extra fields on every line, e.g. { provider: "mailtm" }
+    child: (extra) =>
+      createLogger({ level, format, bindings: { ...bindings, ...extra } }),
+  };
+};
+
+export const logger = createLogger();
@@ -0,0 +1,179 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format for GET /api/metrics. Instruments
+// live in this module so providers and routes can record into them directly.
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries
+    .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+};
+
+const labelKey = (labelNames, labels) =>
+  JSON.stringify(labelNames.map((name) => labels[name] ?? ""));
+
+const labelsFromKey = (labelNames, key) =>
+  Object.fromEntries(
+    JSON.parse(key).map((value, index) => [labelNames[index], value])
+  );
+
+export const createMetricsRegistry = () => {
+  const instruments = [];
+
+  const counter = (name, help, labelNames = []) => {
+    const values = new Map();
+    const instrument = {
+      inc: (labels = {}, amount = 1) => {
+        const key = labelKey(labelNames, labels);
+        values.set(key, (values.get(key) || 0) + amount);
+      },
+      render: async () =>
+        [...values].map(
+          ([key, value]) =>
+            `${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`
+        ),
+    };
+    instruments.push({ name, help, type: "counter", instrument });
+    return instrument;
+  };
+
+  // collect() is called on every scrape and returns [{ labels, value }]
+  const gauge = (name, help, collect) => {
+    const instrument = {
+      render: async () =>
+        (await collect()).map(
+          ({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`
+        ),
+    };
+    instruments.push({ name, help, type: "gauge", instrument });
+    return instrument;
+  };
+
+  const histogram = (
+    name,
+    help,
+    labelNames = [],
+    buckets = DEFAULT_BUCKETS
+  ) => {
+    const series = new Map(); // labelKey -> { counts, sum, count }
+    const instrument = {
+      observe: (labels = {}, value) => {
+        const key = labelKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+      // Returns a function that records the seconds elapsed since the call
+      startTimer: () => {
+        const startedAt = process.hrtime.bigint();
+        return (labels) =>
+          instrument.observe(
+            labels,
+            Number(process.hrtime.bigint() - startedAt) / 1e9
+          );
+      },
+      render: async () =>
+        [...series].flatMap(([key, entry]) => {
+          const labels = labelsFromKey(labelNames, key);
+          return [
+            ...buckets.map(
+              (bound, index) =>
+                `${name}_bucket${formatLabels({ ...labels, le: bound })} ${
+                  entry.counts[index]
+                }`
+            ),
+            `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${
+              entry.count
+            }`,
+            `${name}_sum${formatLabels(labels)} ${entry.sum}`,
+            `${name}_count${formatLabels(labels)} ${entry.count}`,
+          ];
+        }),
+    };
+    instruments.push({ name, help, type: "histogram", instrument });
+    return instrument;
+  };
+
+  const render = async () => {
+    const blocks = [];
+    for (const { name, help, type, instrument } of instruments) {
+      blocks.push(
+        [
+          `# HELP ${name} ${help}`,
+          `# TYPE ${name} ${type}`,
+          ...(await instrument.render()),
+        ].join("\n")
+      );
+    }
+    return `${blocks.join("\n")}\n`;
+  };
+
+  return { counter, gauge, histogram, render };
+};
+
+export const registry = createMetricsRegistry();
+
+export const metrics = {
+  mailboxesCreated: registry.counter(
+    "tempmail_mailboxes_created_total",
+    "Mailboxes created, by provider",
+    ["provider"]
+  ),
+  mailboxCreationFailures: registry.counter(
+    "tempmail_mailbox_creation_failures_total",
+    "Failed mailbox creation requests, by HTTP status",
+    ["status"]
+  ),
+  upstreamRequestDuration: registry.histogram(
+    "tempmail_upstream_request_duration_seconds",
+    "Upstream API request latency, by provider, path and status",
+    ["provider", "method", "path", "status"]
+  ),
+  upstreamRetries: registry.counter(
+    "tempmail_upstream_retries_total",
+    "Upstream API requests retried, by provider, path and reason",
+    ["provider", "path", "reason"]
+  ),
+  upstreamRateLimited: registry.counter(
+    "tempmail_upstream_rate_limited_total",
+    "429 responses while provisioning, by provider and domain",
+    ["provider", "domain"]
+  ),
+  domainCacheLookups: registry.counter(
+    "tempmail_domain_cache_lookups_total",
+    "Domain list lookups served from cache (hit) or the API (miss)",
+    ["provider", "result"]
+  ),
+  messageFetches: registry.counter(
+    "tempmail_message_fetches_total",
+    "Message fetches: list pages, detail calls and detail cache hits",
+    ["provider", "kind"]
+  ),
+};
+
+// Collection segments whose next segment is an id, e.g. /messages/{id}
+const ID_PARENTS = new Set(["messages", "accounts", "attachment", "sources"]);
+
+// "/messages/abc?page=2" -> "/messages/:id", keeping label cardinality low
+export const metricsPath = (pathFragment) =>
+  pathFragment
+    .split("?")[0]
+    .split("/")
+    .map((segment, index, segments) =>
+      index > 0 && ID_PARENTS.has(segments[index - 1]) ? ":id" : segment
+    )
+    .join("/");
@@ -0,0 +1,109 @@
+import dns from "dns/promises";
+import net from "net";
+
+// Outbound requests made on a user's behalf (webhooks, the image proxy) must
+// not reach loopback, private, link-local or other non-routable addresses.
+// Hosts are checked by what they resolve to, right before each request, so a
+// public-looking name pointing at 10.0.0.1 is caught as well.
+const ipv4ToNumber = (address) =>
+  address
+    .split(".")
+    .reduce((value, octet) => (value << 8) + Number(octet), 0) >>> 0;
+
+const PRIVATE_IPV4_RANGES = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved and broadcast
+].map(([base, bits]) => [ipv4ToNumber(base), bits]);
+
+const isPrivateIPv4Number = (value) =>
+  PRIVATE_IPV4_RANGES.some(
+    ([base, bits]) => value >>> (32 - bits) === base >>> (32 - bits)
+  );
+
+// "::ffff:10.0.0.1" -> [0, 0, 0, 0, 0, 0xffff, 0x0a00, 0x0001]
+const ipv6Groups = (address) => {
+  let text = address;
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const value = ipv4ToNumber(dotted[1]);
+    text = `${text.slice(0, -dotted[1].length)}${(value >>> 16).toString(
+      16
+    )}:${(value & 0xffff).toString(16)}`;
+  }
+  const parse = (part) =>
+    part ? part.split(":").map((group) => parseInt(group, 16)) : [];
+  const [head, tail] = text.split("::");
+  if (tail === undefined) return parse(head);
+  const left = parse(head);
+  const right = parse(tail);
+  return [...left, ...Array(8 - left.length - right.length).fill(0), ...right];
+};
+
+const isPrivateIPv6 = (address) => {
+  const groups = ipv6Groups(address);
+  const embeddedIPv4 = ((groups[6] << 16) | groups[7]) >>> 0;
+  const leadingZeros = groups.slice(0, 5).every((group) => group === 0);
+  // IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible (incl. :: and ::1) and
+  // NAT64 (64:ff9b::a.b.c.d) addresses are judged by their IPv4 part
+  if (leadingZeros && (groups[5] === 0xffff || groups[5] === 0)) {
+    return isPrivateIPv4Number(embeddedIPv4);
+  }
+  if (
+    groups[0] === 0x64 &&
+    groups[1] === 0xff9b &&
+    groups.slice(2, 6).every((group) => group === 0)
+  ) {
+    return isPrivateIPv4Number(embeddedIPv4);
+  }
+  // 6to4 (2002:a.b.c.d::/48)
+  if (groups[0] === 0x2002) {
+    return isPrivateIPv4Number(((groups[1] << 16) | groups[2]) >>> 0);
+  }
+  return (
+    (groups[0] & 0xfe00) === 0xfc00 || // unique local
+    (groups[0] & 0xffc0) === 0xfe80 || // link-local
+    (groups[0] & 0xffc0) === 0xfec0 || // site-local
+    (groups[0] & 0xff00) === 0xff00 // multicast
+  );
+};
+
+const stripBrackets = (hostname) =>
+  String(hostname)
+    .replace(/^\[|\]$/g, "")
+    .replace(/%.*$/, "");
+
+export const isPrivateAddress = (address) => {
+  const value = stripBrackets(address);
+  if (net.isIPv4(value)) return isPrivateIPv4Number(ipv4ToNumber(value));
+  if (net.isIPv6(value)) return isPrivateIPv6(value);
+  return false;
+};
+
+// Checks the hostname itself (an IP literal or localhost), without DNS
+export const isPrivateHost = (hostname) => {
+  const host = stripBrackets(hostname);
+  if (net.isIP(host)) return isPrivateAddress(host);
+  return /^localhost$/i.test(host) || /\.localhost\.?$/i.test(host);
+};
+
+// "public" when every address the host resolves to is public, "private" when
+// any is not, "unresolved" when the lookup fails
+export const classifyHost = async (hostname) => {
+  const host = stripBrackets(hostname);
+  if (isPrivateHost(host)) return "private";
+  if (net.isIP(host)) return "public";
+  const addresses = await dns.lookup(host, { all: true }).catch(() => []);
+  if (!addresses.length) return "unresolved";
+  return addresses.some(({ address }) => isPrivateAddress(address))
+    ? "private"
+    : "public";
+};
@@ -0,0 +1,798 @@
+import { MAX_PROXY_URL_LENGTH } from "./imageproxy.js";
+
+// OpenAPI 3 description of the HTTP API, served at /api/openapi.json. It is
+// the source of truth for request validation (see validation.js): every route
+// is listed here, and bodies, path params and query strings are checked
+// against these schemas before a handler runs. Limits that depend on the
+// environment are passed in by the server.
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const string = (extra = {}) => ({ type: "string", ...extra });
+const integer = (extra = {}) => ({ type: "integer", ...extra });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const dateTime = string({ format: "date-time" });
+
+// Objects are closed unless stated otherwise, so responses that grow a field
+// without a matching spec change fail the contract test
+const object = (
+  properties,
+  { required = Object.keys(properties), additionalProperties = false } = {}
+) => ({
+  type: "object",
+  properties,
+  ...(required.length ? { required } : {}),
+  additionalProperties,
+});
+
+const arrayOf = (items, extra = {}) => ({ type: "array", items, ...extra });
+
+const ERROR_DESCRIPTIONS = {
+  400: "Invalid request",
+  401: "Missing or invalid credentials",
+  403: "Token lacks the required scope",
+  404: "Not found",
+  408: "Timed out",
+  409: "Conflict",
+  410: "Mailbox expired",
+  413: "Payload too large",
+  415: "Unsupported media type",
+  422: "Unprocessable request",
+  429: "Rate limited",
+  501: "Not implemented",
+  502: "Upstream error",
+  504: "Upstream timeout",
+};
+
+const json = (description, schema) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+
+const errors = (...statuses) =>
+  Object.fromEntries(
+    statuses.map((status) => [
+      String(status),
+      json(ERROR_DESCRIPTIONS[status], ref("Error")),
+    ])
+  );
+
+const pathParam = (
+  name,
+  schema = string({ minLength: 1, maxLength: 128 })
+) => ({
+  name,
+  in: "path",
+  required: true,
+  schema,
+});
+
+const queryParam = (name, schema, description) => ({
+  name,
+  in: "query",
+  required: false,
+  schema,
+  ...(description ? { description } : {}),
+});
+
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: { "application/json": { schema } },
+});
+
+const mailboxIdParam = pathParam("mailboxId", string({ format: "uuid" }));
+const messageIdParam = pathParam("messageId");
+const remoteContentParam = queryParam(
+  "remoteContent",
+  { type: "boolean" },
+  "Load remote images in safeHtml (through the image proxy when enabled)"
+);
+const accessTokenParam = queryParam(
+  "access_token",
+  string(),
+  "Mailbox access token, for clients that cannot set headers (GET only)"
+);
+
+const mailboxToken = [
+  { mailboxToken: [] },
+  { mailboxBearer: [] },
+  { sessionToken: [] },
+];
+const sessionToken = [{ sessionToken: [] }];
+
+const mailboxProperties = {
+  mailboxId: string({ format: "uuid" }),
+  address: string({ format: "email" }),
+  domain: string(),
+  provider: string(),
+  createdAt: dateTime,
+  expiresAt: dateTime,
+  maxExpiresAt: dateTime,
+  extensionsRemaining: integer({ minimum: 0 }),
+  messageCount: integer({ minimum: 0 }),
+  webhookUrl: nullable(string({ format: "uri" })),
+};
+
+const messageProperties = {
+  id: string(),
+  from: string(),
+  subject: string(),
+  body: string(),
+  html: string(),
+  intro: nullable(string()),
+  seen: { type: "boolean" },
+  receivedAt: dateTime,
+  attachments: arrayOf(ref("Attachment")),
+};
+const messageRequired = Object.keys(messageProperties).filter(
+  (name) => name !== "intro"
+);
+
+const scoredLink = object({
+  url: string(),
+  text: string(),
+  confidence: { type: "number", minimum: 0, maximum: 1 },
+});
+
+const extractionProperties = {
+  codes: arrayOf(
+    object({
+      value: string(),
+      type: string({ enum: ["numeric", "alphanumeric"] }),
+      confidence: { type: "number", minimum: 0, maximum: 1 },
+    })
+  ),
+  magicLinks: arrayOf(scoredLink),
+  unsubscribeLinks: arrayOf(scoredLink),
+};
+
+const tokenProperties = {
+  id: string(),
+  scope: ref("TokenScope"),
+  createdAt: dateTime,
+};
+
+const webhookProperties = {
+  url: nullable(string({ format: "uri" })),
+  deliveries: arrayOf(
+    object(
+      {
+        deliveryId: string(),
+        event: string(),
+        messageId: string(),
+        url: string(),
+        status: string(),
+        attempts: integer({ minimum: 0 }),
+        lastStatusCode: nullable(integer()),
+        lastError: nullable(string()),
+        createdAt: dateTime,
+        updatedAt: dateTime,
+      },
+      { required: ["deliveryId", "status"], additionalProperties: true }
+    )
+  ),
+};
+
+const credentials = object({
+  email: string({ format: "email", maxLength: 254 }),
+  password: string({ minLength: 1, maxLength: 200 }),
+});
+
+export const createOpenApiDocument = ({
+  version = "1.0.0",
+  serverUrl = "/",
+  ttlMinutes = { min: 5, max: 60, default: 15 },
+  maxMessagePageSize = 100,
+  maxWaitPatternLength = 200,
+} = {}) => ({
+  openapi: "3.0.3",
+  info: {
+    title: "Temp Mail API",
+    version,
+    description:
+      "Disposable mailboxes on mail.tm-compatible providers or the built-in SMTP receiver. Mailbox routes take the accessToken returned at creation in X-Mailbox-Token (or as a Bearer token when no session is sent).",
+  },
+  servers: [{ url: serverUrl }],
+  components: {
+    securitySchemes: {
+      mailboxToken: {
+        type: "apiKey",
+        in: "header",
+        name: "X-Mailbox-Token",
+        description: "Mailbox access token (mbx_...)",
+      },
+      mailboxBearer: {
+        type: "http",
+        scheme: "bearer",
+        description: "Mailbox access token (mbx_...) when no session is sent",
+      },
+      sessionToken: {
+        type: "http",
+        scheme: "bearer",
+        description: "User session token (ses_...)",
+      },
+      apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+      metricsToken: { type: "http", scheme: "bearer" },
+    },
+    schemas: {
+      Error: object(
+        {
+          error: string(),
+          status: integer(),
+          requestId: string(),
+          details: arrayOf(ref("ValidationIssue")),
+          suggestions: arrayOf(string({ format: "email" })),
+          timeoutMs: integer(),
+          seen: arrayOf(ref("MessageSummary")),
+        },
+        { required: ["error", "status"] }
+      ),
+      ValidationIssue: object({
+        location: string({ enum: ["path", "query", "body"] }),
+        path: string(),
+        message: string(),
+      }),
+      Mailbox: object(mailboxProperties),
+      CreatedMailbox: object(
+        {
+          ...mailboxProperties,
+          accessToken: string(),
+          recoverySecret: string(),
+          webhookSecret: string(),
+        },
+        {
+          required: [
+            ...Object.keys(mailboxProperties),
+            "accessToken",
+            "recoverySecret",
+          ],
+        }
+      ),
+      RestoredMailbox: object({ ...mailboxProperties, accessToken: string() }),
+      Attachment: object({
+        id: string(),
+        filename: string(),
+        contentType: string(),
+        size: integer({ minimum: 0 }),
+      }),
+      // A message as stored by the provider
+      ProviderMessage: object(messageProperties, { required: messageRequired }),
+      // A message as returned by the read routes
+      Message: object(
+        {
+          ...messageProperties,
+          extracted: ref("Extraction"),
+          safeHtml: string(),
+        },
+        { required: [...messageRequired, "extracted", "safeHtml"] }
+      ),
+      MessageSummary: object({
+        id: string(),
+        from: string(),
+        subject: string(),
+        receivedAt: dateTime,
+      }),
+      Extraction: object(extractionProperties),
+      MessageList: object({
+        mailbox: ref("Mailbox"),
+        messages: arrayOf(ref("Message")),
+        hasMore: { type: "boolean" },
+        nextCursor: nullable(string()),
+      }),
+      MessageResponse: object({
+        mailbox: ref("Mailbox"),
+        message: ref("Message"),
+      }),
+      MessageHeaders: object(
+        {
+          messageId: nullable(string()),
+          subject: nullable(string()),
+          headers: arrayOf(object({ name: string(), value: string() })),
+        },
+        { required: ["headers"], additionalProperties: true }
+      ),
+      Domain: object(
+        {
+          domain: string(),
+          provider: string(),
+          preferred: { type: "boolean" },
+          health: { type: "object" },
+        },
+        { required: ["domain", "provider"] }
+      ),
+      Webhook: object(webhookProperties),
+      TokenScope: string({ enum: ["full", "read"] }),
+      AccessToken: object(tokenProperties),
+      IssuedAccessToken: object({ ...tokenProperties, token: string() }),
+      User: object({
+        userId: string(),
+        email: string({ format: "email" }),
+        createdAt: dateTime,
+      }),
+      Session: object({
+        user: ref("User"),
+        token: string(),
+        expiresAt: dateTime,
+      }),
+    },
+  },
+  paths: {
+    "/api/health": {
+      get: {
+        summary: "Service health",
+        responses: {
+          200: json("Service status", {
+            type: "object",
+            additionalProperties: true,
+          }),
+        },
+      },
+    },
+    "/api/openapi.json": {
+      get: {
+        summary: "This document",
+        responses: {
+          200: json("OpenAPI document", { type: "object" }),
+        },
+      },
+    },
+    "/api/docs": {
+      get: {
+        summary: "API reference rendered from this document",
+        responses: {
+          200: { description: "HTML page" },
+          ...errors(404),
+        },
+      },
+    },
+    "/api/metrics": {
+      get: {
+        summary: "Prometheus metrics",
+        security: [{ metricsToken: [] }],
+        responses: {
+          200: {
+            description: "Text exposition format",
+            content: { "text/plain": { schema: string() } },
+          },
+          ...errors(401, 404),
+        },
+      },
+    },
+    "/api/domains": {
+      get: {
+        summary: "Domains accepted by POST /api/mailboxes",
+        responses: {
+          200: json(
+            "Domains with provisioning health",
+            object({ domains: arrayOf(ref("Domain")) })
+          ),
+        },
+      },
+    },
+    "/api/domains/scores": {
+      get: {
+        summary: "Domain scorer and circuit breaker state",
+        responses: {
+          200: json(
+            "Scorer state per provider",
+            object({ providers: { type: "object" } })
+          ),
+        },
+      },
+    },
+    "/api/proxy/image": {
+      get: {
+        summary: "Remote image referenced by a message's safeHtml",
+        parameters: [
+          {
+            ...queryParam("url", string({ maxLength: MAX_PROXY_URL_LENGTH })),
+            required: true,
+          },
+          { ...queryParam("sig", string({ maxLength: 64 })), required: true },
+        ],
+        responses: {
+          200: { description: "The image" },
+          ...errors(400, 403, 404, 413, 415, 502, 504),
+        },
+      },
+    },
+    "/api/auth/signup": {
+      post: {
+        summary: "Create a user account",
+        requestBody: jsonBody(credentials),
+        responses: {
+          201: json("Account and session", ref("Session")),
+          ...errors(400, 409, 429),
+        },
+      },
+    },
+    "/api/auth/login": {
+      post: {
+        summary: "Start a user session",
+        requestBody: jsonBody(credentials),
+        responses: {
+          200: json("Session", ref("Session")),
+          ...errors(400, 401, 429),
+        },
+      },
+    },
+    "/api/auth/logout": {
+      post: {
+        summary: "End the current session",
+        security: sessionToken,
+        responses: { 204: { description: "Logged out" }, ...errors(401) },
+      },
+    },
+    "/api/auth/me": {
+      get: {
+        summary: "The logged-in user",
+        security: sessionToken,
+        responses: {
+          200: json("User", object({ user: ref("User") })),
+          ...errors(401),
+        },
+      },
+    },
+    "/api/me/mailboxes": {
+      get: {
+        summary: "Unexpired mailboxes owned by the logged-in user",
+        security: sessionToken,
+        responses: {
+          200: json(
+            "Mailboxes, newest first",
+            object({ mailboxes: arrayOf(ref("Mailbox")) })
+          ),
+          ...errors(401),
+        },
+      },
+    },
+    "/api/mailboxes": {
+      post: {
+        summary: "Create a mailbox",
+        requestBody: jsonBody(
+          object(
+            {
+              domain: string({
+                maxLength: 253,
+                pattern: "^[A-Za-z0-9](?:[A-Za-z0-9.-]*[A-Za-z0-9])?$",
+              }),
+              localPart: string({ minLength: 3, maxLength: 64 }),
+              prefix: string({ minLength: 1, maxLength: 32 }),
+              ttlMinutes: integer({
+                minimum: ttlMinutes.min,
+                maximum: ttlMinutes.max,
+                default: ttlMinutes.default,
+              }),
+              webhookUrl: string({ format: "uri", maxLength: 2048 }),
+            },
+            { required: [] }
+          ),
+          false
+        ),
+        responses: {
+          201: json("The new mailbox", ref("CreatedMailbox")),
+          ...errors(400, 409, 422, 429),
+        },
+      },
+    },
+    "/api/mailboxes/restore": {
+      post: {
+        summary: "Rebuild a forgotten mailbox from its recovery secret",
+        requestBody: jsonBody(
+          object(
+            {
+              address: string({ format: "email", maxLength: 320 }),
+              recoverySecret: string({ minLength: 1, maxLength: 256 }),
+              ttlMinutes: integer({
+                minimum: ttlMinutes.min,
+                maximum: ttlMinutes.max,
+              }),
+            },
+            { required: ["address", "recoverySecret"] }
+          )
+        ),
+        responses: {
+          201: json("The restored mailbox", ref("RestoredMailbox")),
+          ...errors(400, 401, 429),
+        },
+      },
+    },
+    "/api/mailboxes/{mailboxId}": {
+      parameters: [mailboxIdParam],
+      get: {
+        summary: "Mailbox details",
+        security: mailboxToken,
+        parameters: [accessTokenParam],
+        responses: {
+          200: json("Mailbox", ref("Mailbox")),
+          ...errors(401, 404, 410),
+        },
+      },
+      delete: {
+        summary: "Delete a mailbox and its upstream account",
+        security: mailboxToken,
+        responses: {
+          200: json(
+            "Deleted",
+            object({
+              mailboxId: string({ format: "uuid" }),
+              deleted: { type: "boolean" },
+              upstream: string({ enum: ["deleted", "pending"] }),
+            })
+          ),
+          ...errors(401, 403, 404, 410),
+        },
+      },
+    },
+    "/api/mailboxes/{mailboxId}/messages": {
+      parameters: [mailboxIdParam],
+      get: {
+        summary: "List messages, newest first",
+        security: mailboxToken,
+        parameters: [
+          queryParam(
+            "limit",
+            integer({ minimum: 1, maximum: maxMessagePageSize, default: 25 })
+          ),
+          queryParam("since", string(), "Only messages after this ISO date"),
+          queryParam("cursor", string(), "nextCursor of the previous page"),
+          remoteContentParam,
+          accessTokenParam,
+        ],
+        responses: {
+          200: json("A page of messages", ref("MessageList")),
+          ...errors(400, 401, 404, 410),
+        },
+      },
+      post: {
+        summary: "Sending mail is not supported",
+        security: mailboxToken,
+        responses: errors(401, 403, 404, 410, 501),
+      },
+    },
+    "/api/mailboxes/{mailboxId}/messages/wait": {
+      parameters: [mailboxIdParam],
+      get: {
+        summary: "Wait for a message matching the filters",
+        security: mailboxToken,
+        parameters: [
+          queryParam(
+            "from",
+            string({ maxLength: maxWaitPatternLength }),
+            "Sender contains"
+          ),
+          queryParam(
+            "subject",
+            string({ maxLength: maxWaitPatternLength }),
+            "Case-insensitive regular expression; backreferences, " +
+              "lookarounds and repeats over 100 are rejected"
+          ),
+          queryParam(
+            "contains",
+            string({ maxLength: maxWaitPatternLength }),
+            "Body contains"
+          ),
+          queryParam("since", string(), "Only messages after this ISO date"),
+          queryParam(
+            "timeout",
+            { type: "number", minimum: 0, exclusiveMinimum: true },
+            "Seconds to wait"
+          ),
+          remoteContentParam,
+          accessTokenParam,
+        ],
+        responses: {
+          200: json("The first matching message", ref("MessageResponse")),
+          ...errors(400, 401, 404, 408, 410),
+        },
+      },
+    },
+    "/api/mailboxes/{mailboxId}/stream": {
+      parameters: [mailboxIdParam],
+      get: {
+        summary: "Server-sent events for new messages and mailbox changes",
+        description:
+          "Each event's id is a resume position. Reconnecting with it as the Last-Event-ID header (or ?lastEventId=) first replays the messages that arrived in between.",
+        security: mailboxToken,
+        parameters: [
+          queryParam(
+            "lastEventId",
+            string({ maxLength: 512 }),
+            "Last-Event-ID for clients that cannot set headers"
+          ),
+          accessTokenParam,
+        ],
+        responses: {
+          200: {
+            description: "Event stream",
+            content: { "text/event-stream": { schema: string() } },
+          },
+          ...errors(401, 404, 410),
+        },
+      },
+    },
+    "/api/mailboxes/{mailboxId}/messages/{messageId}": {
+      parameters: [mailboxIdParam, messageIdParam],
+      get: {
+        summary: "One message",
+        security: mailboxToken,
+        parameters: [remoteContentParam, accessTokenParam],
+        responses: {
+          200: json("Message", ref("MessageResponse")),
+          ...errors(401, 404, 410),
+        },
+      },
+      patch: {
+        summary: "Mark a message as seen or unseen",
+        security: mailboxToken,
+        requestBody: jsonBody(object({ seen: { type: "boolean" } })),
+        responses: {
+          200: json(
+            "Updated message",
+            object({
+              mailbox: ref("Mailbox"),
+              message: ref("ProviderMessage"),
+            })
+          ),
+          ...errors(400, 401, 403, 404, 410),
+        },
+      },
+      delete: {
+        summary: "Delete a message",
+        security: mailboxToken,
+        responses: {
+          204: { description: "Deleted" },
+          ...errors(401, 403, 404, 410),
+        },
+      },
+    },
+    "/api/mailboxes/{mailboxId}/messages/{messageId}/extract": {
+      parameters: [mailboxIdParam, messageIdParam],
+      get: {
+        summary: "Codes and links found in a message",
+        security: mailboxToken,
+        parameters: [accessTokenParam],
+        responses: {
+          200: json(
+            "Extraction",
+            object({ messageId: string(), ...extractionProperties })
+          ),
+          ...errors(401, 404, 410),
+        },
+      },
+    },
+    "/api/mailboxes/{mailboxId}/messages/{messageId}/attachments/{attachmentId}":
+      {
+        parameters: [mailboxIdParam, messageIdParam, pathParam("attachmentId")],
+        get: {
+          summary: "Download an attachment",
+          security: mailboxToken,
+          parameters: [accessTokenParam],
+          responses: {
+            200: { description: "Attachment content" },
+            ...errors(401, 404, 410, 413),
+          },
+        },
+      },
+    "/api/mailboxes/{mailboxId}/messages/{messageId}/raw": {
+      parameters: [mailboxIdParam, messageIdParam],
+      get: {
+        summary: "Original RFC 822 source",
+        security: mailboxToken,
+        parameters: [accessTokenParam],
+        responses: {
+          200: {
+            description: "message/rfc822 download",
+            content: { "message/rfc822": { schema: string() } },
+          },
+          ...errors(401, 404, 410),
+        },
+      },
+    },
+    "/api/mailboxes/{mailboxId}/messages/{messageId}/headers": {
+      parameters: [mailboxIdParam, messageIdParam],
+      get: {
+        summary: "Parsed message headers",
+        security: mailboxToken,
+        parameters: [accessTokenParam],
+        responses: {
+          200: json("Headers", ref("MessageHeaders")),
+          ...errors(401, 404, 410),
+        },
+      },
+    },
+    "/api/mailboxes/{mailboxId}/extend": {
+      parameters: [mailboxIdParam],
+      post: {
+        summary: "Push the expiry back by the mailbox's TTL",
+        security: mailboxToken,
+        responses: {
+          200: json("Extended mailbox", ref("Mailbox")),
+          ...errors(401, 403, 404, 409, 410, 429),
+        },
+      },
+    },
+    "/api/mailboxes/{mailboxId}/webhook": {
+      parameters: [mailboxIdParam],
+      get: {
+        summary: "Webhook and recent deliveries",
+        security: mailboxToken,
+        parameters: [accessTokenParam],
+        responses: {
+          200: json("Webhook", ref("Webhook")),
+          ...errors(401, 404, 410),
+        },
+      },
+      put: {
+        summary: "Set or remove (url: null) the webhook",
+        security: mailboxToken,
+        requestBody: jsonBody(
+          object({ url: nullable(string({ maxLength: 2048 })) })
+        ),
+        responses: {
+          200: json(
+            "Webhook, with its signing secret when set",
+            object(
+              { ...webhookProperties, secret: string() },
+              { required: Object.keys(webhookProperties) }
+            )
+          ),
+          ...errors(400, 401, 403, 404, 410),
+        },
+      },
+    },
+    "/api/mailboxes/{mailboxId}/tokens": {
+      parameters: [mailboxIdParam],
+      get: {
+        summary: "Access tokens of the mailbox",
+        security: mailboxToken,
+        responses: {
+          200: json("Tokens", object({ tokens: arrayOf(ref("AccessToken")) })),
+          ...errors(401, 403, 404, 410),
+        },
+      },
+      post: {
+        summary: "Issue an extra access token",
+        security: mailboxToken,
+        requestBody: jsonBody(
+          object({ scope: ref("TokenScope") }, { required: [] }),
+          false
+        ),
+        responses: {
+          201: json("The new token", ref("IssuedAccessToken")),
+          ...errors(400, 401, 403, 404, 410),
+        },
+      },
+    },
+    "/api/mailboxes/{mailboxId}/tokens/rotate": {
+      parameters: [mailboxIdParam],
+      post: {
+        summary: "Replace the calling token with a new one",
+        security: mailboxToken,
+        responses: {
+          201: json("The new token", ref("IssuedAccessToken")),
+          ...errors(401, 403, 404, 410),
+        },
+      },
+    },
+    "/api/mailboxes/{mailboxId}/tokens/{tokenId}": {
+      parameters: [mailboxIdParam, pathParam("tokenId")],
+      delete: {
+        summary: "Revoke an access token",
+        security: mailboxToken,
+        responses: {
+          204: { description: "Revoked" },
+          ...errors(401, 403, 404, 409, 410),
+        },
+      },
+    },
+  },
+});
+
+const HTTP_METHODS = ["get", "put", "post", "patch", "delete"];
+
+// ["GET /api/health", "GET /api/mailboxes/:mailboxId", ...] in spec order
+export const listOperations = (document) =>
+  Object.entries(document.paths).flatMap(([path, item]) =>
+    HTTP_METHODS.filter((method) => item[method]).map(
+      (method) => `${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ":$1")}`
+    )
+  );
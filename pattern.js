@@ -0,0 +1,303 @@
+// Case-insensitive regular expressions for caller-supplied filters (the wait
+// endpoint's subject). Patterns are compiled to a Thompson NFA and matched by
+// stepping every live state over the text at once, so a match costs at most
+// (pattern states x text length) steps however the pattern is written:
+// "(a+)+$" cannot backtrack because nothing backtracks.
+//
+// Supported: literals, ".", classes ("[a-z0-9_-]", "[^...]"), the escapes
+// \d \w \s \D \W \S \b \B \t \n \r and escaped punctuation, groups "(...)"
+// and "(?:...)", alternation "|", the quantifiers * + ? {n} {n,} {n,m} (lazy
+// forms match the same) and the anchors ^ and $. Backreferences, lookarounds,
+// named groups and other escapes are rejected as invalid.
+const MAX_STATES = 1000;
+const MAX_REPEAT = 100;
+
+const invalidPattern = (message) => new Error(`Invalid pattern: ${message}`);
+
+const isWordChar = (char) => !!char && /\w/.test(char);
+
+// Every match is case-insensitive
+const foldCase = (predicate) => (char) =>
+  predicate(char) ||
+  predicate(char.toLowerCase()) ||
+  predicate(char.toUpperCase());
+
+const CLASS_ESCAPES = {
+  d: (char) => /\d/.test(char),
+  D: (char) => !/\d/.test(char),
+  w: (char) => /\w/.test(char),
+  W: (char) => !/\w/.test(char),
+  s: (char) => /\s/.test(char),
+  S: (char) => !/\s/.test(char),
+};
+const CHAR_ESCAPES = { t: "\t", n: "\n", r: "\r", f: "\f", v: "\v" };
+
+// Pattern text -> tree of { type: "char" | "assert" | "sequence" |
+// "alternation" | "repeat", ... } nodes
+const parse = (source) => {
+  const chars = Array.from(source);
+  let position = 0;
+
+  const peek = () => chars[position];
+  const next = () => chars[position++];
+
+  // An escape after the backslash, as a char predicate
+  const parseEscape = ({ inClass }) => {
+    const char = next();
+    if (char === undefined) throw invalidPattern("trailing backslash");
+    if (CLASS_ESCAPES[char]) return { predicate: CLASS_ESCAPES[char] };
+    if (CHAR_ESCAPES[char]) return { literal: CHAR_ESCAPES[char] };
+    if (!inClass && (char === "b" || char === "B")) return { boundary: char };
+    if (/[A-Za-z0-9]/.test(char)) {
+      throw invalidPattern(`unsupported escape \\${char}`);
+    }
+    return { literal: char };
+  };
+
+  const parseClass = () => {
+    const negated = peek() === "^";
+    if (negated) next();
+    const items = [];
+    const readItem = () => {
+      const char = next();
+      if (char === undefined) throw invalidPattern("unterminated [");
+      return char === "\\" ? parseEscape({ inClass: true }) : { literal: char };
+    };
+    while (peek() !== "]") {
+      const item = readItem();
+      if (
+        item.literal !== undefined &&
+        peek() === "-" &&
+        chars[position + 1] !== undefined &&
+        chars[position + 1] !== "]"
+      ) {
+        next();
+        const end = readItem();
+        if (end.literal === undefined) {
+          throw invalidPattern("invalid range in class");
+        }
+        const [low, high] = [item.literal, end.literal].map((char) =>
+          char.codePointAt(0)
+        );
+        if (low > high) throw invalidPattern("range out of order in class");
+        items.push((char) => {
+          const code = char.codePointAt(0);
+          return code >= low && code <= high;
+        });
+      } else {
+        items.push(item.predicate || ((char) => char === item.literal));
+      }
+    }
+    next();
+    const inClass = foldCase((char) => items.some((item) => item(char)));
+    return (char) => inClass(char) !== negated;
+  };
+
+  // {n}, {n,} or {n,m}; null (and no input consumed) when not a quantifier,
+  // in which case "{" is a literal as in JavaScript
+  const parseBraces = () => {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(chars.slice(position).join(""));
+    if (!match) return null;
+    position += Array.from(match[0]).length;
+    const min = Number(match[1]);
+    let max = min;
+    if (match[2] !== undefined) {
+      max = match[3] === "" ? Infinity : Number(match[3]);
+    }
+    if (max < min) throw invalidPattern("numbers out of order in {}");
+    if (Math.max(min, max === Infinity ? 0 : max) > MAX_REPEAT) {
+      throw invalidPattern(`repeat counts are limited to ${MAX_REPEAT}`);
+    }
+    return { min, max };
+  };
+
+  const parseAtom = () => {
+    const char = next();
+    if (char === "(") {
+      if (peek() === "?") {
+        next();
+        if (next() !== ":") {
+          throw invalidPattern(
+            "lookarounds and named groups are not supported"
+          );
+        }
+      }
+      const group = parseAlternation();
+      if (next() !== ")") throw invalidPattern("unterminated group");
+      return group;
+    }
+    if (char === "[") return { type: "char", predicate: parseClass() };
+    if (char === ".") {
+      return {
+        type: "char",
+        predicate: (value) => !/[\n\r\u2028\u2029]/.test(value),
+      };
+    }
+    if (char === "^") return { type: "assert", kind: "start" };
+    if (char === "$") return { type: "assert", kind: "end" };
+    if (char === "\\") {
+      const escape = parseEscape({ inClass: false });
+      if (escape.boundary) {
+        const kind = escape.boundary === "b" ? "boundary" : "inside";
+        return { type: "assert", kind };
+      }
+      return {
+        type: "char",
+        predicate:
+          escape.predicate || foldCase((value) => value === escape.literal),
+      };
+    }
+    if ("*+?".includes(char)) throw invalidPattern("nothing to repeat");
+    if (char === ")") throw invalidPattern("unmatched )");
+    return { type: "char", predicate: foldCase((value) => value === char) };
+  };
+
+  const parseQuantified = () => {
+    const atom = parseAtom();
+    let range = null;
+    if (peek() === "*") range = { min: 0, max: Infinity };
+    else if (peek() === "+") range = { min: 1, max: Infinity };
+    else if (peek() === "?") range = { min: 0, max: 1 };
+    if (range) next();
+    else if (peek() === "{") range = parseBraces();
+    if (!range) return atom;
+    if (atom.type === "assert") throw invalidPattern("nothing to repeat");
+    if (peek() === "?") next(); // lazy: same set of matches
+    if (
+      peek() !== undefined &&
+      ("*+".includes(peek()) || (peek() === "{" && parseBraces()))
+    ) {
+      throw invalidPattern("nothing to repeat");
+    }
+    return { type: "repeat", node: atom, ...range };
+  };
+
+  const parseSequence = () => {
+    const nodes = [];
+    while (peek() !== undefined && peek() !== "|" && peek() !== ")") {
+      nodes.push(parseQuantified());
+    }
+    return { type: "sequence", nodes };
+  };
+
+  const parseAlternation = () => {
+    const options = [parseSequence()];
+    while (peek() === "|") {
+      next();
+      options.push(parseSequence());
+    }
+    return options.length === 1
+      ? options[0]
+      : { type: "alternation", options };
+  };
+
+  const tree = parseAlternation();
+  if (position < chars.length) throw invalidPattern("unmatched )");
+  return tree;
+};
+
+// Tree -> NFA states; each node is compiled in front of the state that
+// follows it, so no fragment patching is needed
+const compile = (tree) => {
+  const states = [{ type: "match" }];
+  const add = (state) => {
+    if (states.length >= MAX_STATES) {
+      throw invalidPattern("pattern is too large");
+    }
+    states.push(state);
+    return states.length - 1;
+  };
+
+  const build = (node, out) => {
+    if (node.type === "char") {
+      return add({ type: "char", predicate: node.predicate, out });
+    }
+    if (node.type === "assert") {
+      return add({ type: "assert", kind: node.kind, out });
+    }
+    if (node.type === "sequence") {
+      return node.nodes.reduceRight(
+        (following, item) => build(item, following),
+        out
+      );
+    }
+    if (node.type === "alternation") {
+      return node.options
+        .map((option) => build(option, out))
+        .reduce((first, second) =>
+          add({ type: "split", out: first, alt: second })
+        );
+    }
+    // repeat: min required copies, then a loop or (max - min) optional ones
+    let tail = out;
+    if (node.max === Infinity) {
+      const loop = add({ type: "split", out: null, alt: out });
+      states[loop].out = build(node.node, loop);
+      tail = loop;
+    } else {
+      for (let count = node.min; count < node.max; count += 1) {
+        tail = add({ type: "split", out: build(node.node, tail), alt: out });
+      }
+    }
+    for (let count = 0; count < node.min; count += 1) {
+      tail = build(node.node, tail);
+    }
+    return tail;
+  };
+
+  return { states, start: build(tree, 0) };
+};
+
+export const compilePattern = (source) => {
+  const { states, start } = compile(parse(String(source)));
+
+  const test = (input) => {
+    const text = Array.from(String(input ?? ""));
+    const holds = (kind, index) => {
+      if (kind === "start") return index === 0;
+      if (kind === "end") return index === text.length;
+      const boundary = isWordChar(text[index - 1]) !== isWordChar(text[index]);
+      return kind === "boundary" ? boundary : !boundary;
+    };
+    // Follows splits and assertions from a state into the char and match
+    // states reachable at this position
+    const addState = (list, seen, stateIndex, position) => {
+      if (seen.has(stateIndex)) return;
+      seen.add(stateIndex);
+      const state = states[stateIndex];
+      if (state.type === "split") {
+        addState(list, seen, state.out, position);
+        addState(list, seen, state.alt, position);
+      } else if (state.type === "assert") {
+        if (holds(state.kind, position)) {
+          addState(list, seen, state.out, position);
+        }
+      } else {
+        list.push(stateIndex);
+      }
+    };
+
+    let current = [];
+    let seen = new Set();
+    for (let position = 0; position <= text.length; position += 1) {
+      // A match may start anywhere, like RegExp.prototype.test
+      addState(current, seen, start, position);
+      if (current.some((index) => states[index].type === "match")) return true;
+      if (position === text.length) break;
+      const char = text[position];
+      const following = [];
+      const followingSeen = new Set();
+      current.forEach((index) => {
+        const state = states[index];
+        if (state.type === "char" && state.predicate(char)) {
+          addState(following, followingSeen, state.out, position + 1);
+        }
+      });
+      current = following;
+      seen = followingSeen;
+    }
+    return false;
+  };
+
+  return { source: String(source), test };
+};
@@ -0,0 +1,171 @@
+import { logger } from "../logger.js";
+
+// Per-domain provisioning scorer with a circuit breaker. Only domain-level
+// failures (rate limits, server errors, timeouts) are recorded; an address
+// that is merely taken says nothing about the domain.
+//
+// A 429, or FAILURE_THRESHOLD failures in a row, opens the domain's circuit:
+// it is skipped until the cooldown ends (doubling on every trip, up to
+// MAX_COOLDOWN_MS), then gets one trial attempt ("half_open") that either
+// closes the circuit again or reopens it.
+const OUTCOME_WINDOW = 20;
+const FAILURE_THRESHOLD = 3;
+const BASE_COOLDOWN_MS = 30 * 1000;
+const RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+
+export const createDomainHealth = ({
+  windowSize = OUTCOME_WINDOW,
+  failureThreshold = FAILURE_THRESHOLD,
+  baseCooldownMs = BASE_COOLDOWN_MS,
+  rateLimitCooldownMs = RATE_LIMIT_COOLDOWN_MS,
+  maxCooldownMs = MAX_COOLDOWN_MS,
+  now = Date.now, // injectable clock for tests
+} = {}) => {
+  const domains = new Map(); // domain -> state
+
+  const getState = (domain) => {
+    const key = domain.toLowerCase();
+    if (!domains.has(key)) {
+      domains.set(key, {
+        outcomes: [], // true = success, newest last
+        consecutiveFailures: 0,
+        trips: 0, // circuit openings since the last success
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastStatus: null,
+        last429At: null,
+        cooldownUntil: null,
+      });
+    }
+    return domains.get(key);
+  };
+
+  const circuitOf = (state, at = now()) => {
+    if (!state.cooldownUntil) return "closed";
+    return Date.parse(state.cooldownUntil) > at ? "open" : "half_open";
+  };
+
+  const recordSuccess = (domain) => {
+    const state = getState(domain);
+    state.outcomes = [...state.outcomes, true].slice(-windowSize);
+    state.lastSuccessAt = new Date(now()).toISOString();
+    state.consecutiveFailures = 0;
+    state.trips = 0;
+    state.cooldownUntil = null;
+  };
+
+  const recordFailure = (domain, error) => {
+    const state = getState(domain);
+    const at = now();
+    const wasHalfOpen = circuitOf(state, at) === "half_open";
+    state.outcomes = [...state.outcomes, false].slice(-windowSize);
+    state.lastFailureAt = new Date(at).toISOString();
+    state.lastStatus = error?.status || null;
+    state.consecutiveFailures += 1;
+    if (error?.status === 429) {
+      state.last429At = state.lastFailureAt;
+    }
+    if (
+      error?.status === 429 ||
+      wasHalfOpen ||
+      state.consecutiveFailures >= failureThreshold
+    ) {
+      state.trips += 1;
+      const cooldown = Math.min(
+        (error?.status === 429 ? rateLimitCooldownMs : baseCooldownMs) *
+          Math.pow(2, state.trips - 1),
+        maxCooldownMs
+      );
+      state.cooldownUntil = new Date(at + cooldown).toISOString();
+      logger.warn("[Domain Circuit] Open", {
+        domain,
+        cooldownMs: cooldown,
+        lastStatus: state.lastStatus || "network error",
+        consecutiveFailures: state.consecutiveFailures,
+      });
+    }
+  };
+
+  // Recent success rate with a neutral prior, so one outcome is not decisive
+  const scoreOf = (state) => {
+    const successes = state.outcomes.filter(Boolean).length;
+    return (successes + 1) / (state.outcomes.length + 2);
+  };
+
+  // Order domains for a provisioning attempt. Open circuits are skipped
+  // (unless every domain is open); the rest are drawn at random, weighted by
+  // recent success and by position in the priority list (first = highest).
+  const rank = (candidates, priority = []) => {
+    const at = now();
+    const prioritized = priority.map((domain) => domain.toLowerCase());
+    const weightOf = (domain) => {
+      const index = prioritized.indexOf(domain.toLowerCase());
+      const priorityWeight =
+        index >= 0 ? 1 + (prioritized.length - index) / prioritized.length : 1;
+      return scoreOf(getState(domain)) * priorityWeight;
+    };
+
+    const available = candidates.filter(
+      (domain) => circuitOf(getState(domain), at) !== "open"
+    );
+    if (!available.length) {
+      // Everything is cooling down; try whichever reopens first
+      return [...candidates].sort(
+        (a, b) =>
+          Date.parse(getState(a).cooldownUntil) -
+          Date.parse(getState(b).cooldownUntil)
+      );
+    }
+
+    const pool = available.map((domain) => ({
+      domain,
+      weight: weightOf(domain),
+    }));
+    const ordered = [];
+    while (pool.length) {
+      const total = pool.reduce((sum, entry) => sum + entry.weight, 0);
+      let pick = Math.random() * total;
+      const index = Math.max(
+        0,
+        pool.findIndex((entry) => (pick -= entry.weight) < 0)
+      );
+      ordered.push(pool.splice(index, 1)[0].domain);
+    }
+    return ordered;
+  };
+
+  const describe = (domain) => {
+    const state = getState(domain);
+    const attempts = state.outcomes.length;
+    const successes = state.outcomes.filter(Boolean).length;
+    const circuit = circuitOf(state);
+    const successRate = attempts
+      ? Math.round((successes / attempts) * 100) / 100
+      : null;
+    let status = "unknown";
+    if (circuit === "open") status = "cooling_down";
+    else if (successRate !== null) {
+      status = successRate >= 0.5 ? "healthy" : "degraded";
+    }
+    return {
+      status,
+      circuit,
+      score: Math.round(scoreOf(state) * 100) / 100,
+      successRate,
+      attempts,
+      consecutiveFailures: state.consecutiveFailures,
+      lastSuccessAt: state.lastSuccessAt,
+      lastFailureAt: state.lastFailureAt,
+      lastStatus: state.lastStatus,
+      last429At: state.last429At,
+      cooldownUntil: circuit === "open" ? state.cooldownUntil : null,
+    };
+  };
+
+  // Every domain with recorded outcomes, for debugging
+  const snapshot = () =>
+    [...domains.keys()].map((domain) => ({ domain, ...describe(domain) }));
+
+  return { recordSuccess, recordFailure, rank, describe, snapshot };
+};
@@ -0,0 +1,63 @@
+import { simpleParser } from "mailparser";
+
+// Parses the header block of an RFC 822 source (Buffer or stream) into JSON.
+// Address headers keep display names; headers that may repeat (Received,
+// Authentication-Results, ...) are lists in their original order, top first.
+const PARSER_OPTIONS = {
+  skipHtmlToText: true,
+  skipTextToHtml: true,
+  skipImageLinks: true,
+  skipTextLinks: true,
+};
+
+const toAddressList = (value) =>
+  (Array.isArray(value) ? value : value ? [value] : []).flatMap((entry) =>
+    entry.value.map(({ address, name }) => ({
+      address: address || null,
+      name: name || null,
+    }))
+  );
+
+const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+// "Name: value" with folded continuation lines unfolded
+const splitHeaderLine = ({ line }) => {
+  const separator = line.indexOf(":");
+  return {
+    name: line.slice(0, separator).trim(),
+    value: line
+      .slice(separator + 1)
+      .replace(/\r?\n[ \t]+/g, " ")
+      .trim(),
+  };
+};
+
+export const parseMessageHeaders = async (source) => {
+  const parsed = await simpleParser(source, PARSER_OPTIONS);
+  const lines = parsed.headerLines.map(splitHeaderLine);
+  const valuesOf = (name) =>
+    lines
+      .filter((header) => header.name.toLowerCase() === name)
+      .map((header) => header.value);
+
+  const [sender] = toAddressList(parsed.from);
+  return {
+    messageId: parsed.messageId || null,
+    date: parsed.date ? parsed.date.toISOString() : null,
+    subject: parsed.subject || null,
+    from: sender || null,
+    senderName: sender?.name || null,
+    to: toAddressList(parsed.to),
+    cc: toAddressList(parsed.cc),
+    replyTo: toAddressList(parsed.replyTo),
+    returnPath: valuesOf("return-path")[0] || null,
+    inReplyTo: parsed.inReplyTo || null,
+    references: toList(parsed.references),
+    listUnsubscribe: valuesOf("list-unsubscribe")[0] || null,
+    listUnsubscribePost: valuesOf("list-unsubscribe-post")[0] || null,
+    authenticationResults: valuesOf("authentication-results"),
+    received: valuesOf("received"),
+    // Every header as sent, for anything not surfaced above
+    headers: lines,
+  };
+};
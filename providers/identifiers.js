@@ -0,0 +1,154 @@
+import crypto from "crypto";
+
+const MAILBOX_LOCAL_PART_LENGTH = 10;
+const PASSWORD_LENGTH = 24;
+
+const alphabet = "abcdefghijklmnopqrstuvwxyz0123456789";
+const letters = "abcdefghijklmnopqrstuvwxyz";
+
+// Uses the CSPRNG: identifiers double as upstream passwords and tokens
+export const generateIdentifier = (length) => {
+  let output = "";
+  for (let i = 0; i < length; i += 1) {
+    output += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return output;
+};
+
+// Same rules mail.tm applies to the part before the "@"
+const LOCAL_PART_MIN_LENGTH = 3;
+const LOCAL_PART_MAX_LENGTH = 64;
+const LOCAL_PART_PATTERN = /^[a-z0-9](?:[a-z0-9._-]*[a-z0-9])?$/;
+const PREFIX_MAX_LENGTH = 32;
+const PREFIX_SUFFIX_LENGTH = 4;
+
+// Role accounts people expect a real organisation behind
+const RESERVED_LOCAL_PARTS = new Set([
+  "abuse",
+  "admin",
+  "administrator",
+  "billing",
+  "help",
+  "helpdesk",
+  "hostmaster",
+  "info",
+  "mailer-daemon",
+  "noc",
+  "no-reply",
+  "noreply",
+  "postmaster",
+  "root",
+  "security",
+  "support",
+  "sysadmin",
+  "webmaster",
+]);
+
+// Matched anywhere in the local part once separators are removed
+const BLOCKED_WORDS = [
+  "asshole",
+  "bitch",
+  "cunt",
+  "fuck",
+  "nigger",
+  "pussy",
+  "shit",
+  "whore",
+];
+
+const invalidLocalPart = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const checkAllowedWords = (value) => {
+  const compact = value.replace(/[._-]/g, "");
+  if (RESERVED_LOCAL_PARTS.has(value)) {
+    throw invalidLocalPart(`"${value}" is a reserved address`);
+  }
+  if (BLOCKED_WORDS.some((word) => compact.includes(word))) {
+    throw invalidLocalPart("This address is not allowed");
+  }
+};
+
+// Returns the normalized (lowercase) local part, or throws a 400
+export const validateLocalPart = (localPart) => {
+  if (typeof localPart !== "string") {
+    throw invalidLocalPart("localPart must be a string");
+  }
+  const value = localPart.trim().toLowerCase();
+  if (
+    value.length < LOCAL_PART_MIN_LENGTH ||
+    value.length > LOCAL_PART_MAX_LENGTH
+  ) {
+    throw invalidLocalPart(
+      `localPart must be ${LOCAL_PART_MIN_LENGTH}-${LOCAL_PART_MAX_LENGTH} characters`
+    );
+  }
+  if (!LOCAL_PART_PATTERN.test(value) || value.includes("..")) {
+    throw invalidLocalPart(
+      'localPart may only contain letters, digits, ".", "-" and "_", and must start and end with a letter or digit'
+    );
+  }
+  checkAllowedWords(value);
+  return value;
+};
+
+// Prefix for "prefix-xxxx" addresses; same rules, shorter limit
+export const validateLocalPartPrefix = (prefix) => {
+  if (typeof prefix !== "string") {
+    throw invalidLocalPart("prefix must be a string");
+  }
+  const value = prefix
+    .trim()
+    .toLowerCase()
+    .replace(/[._-]+$/, "");
+  if (!value || value.length > PREFIX_MAX_LENGTH) {
+    throw invalidLocalPart(`prefix must be 1-${PREFIX_MAX_LENGTH} characters`);
+  }
+  if (!LOCAL_PART_PATTERN.test(value) || value.includes("..")) {
+    throw invalidLocalPart(
+      'prefix may only contain letters, digits, ".", "-" and "_", and must start with a letter or digit'
+    );
+  }
+  checkAllowedWords(value);
+  return value;
+};
+
+// A few likely-free variations of a taken local part
+export const suggestLocalParts = (localPart, count = 3) => {
+  const base = localPart.slice(0, LOCAL_PART_MAX_LENGTH - 6);
+  const suggestions = new Set();
+  while (suggestions.size < count) {
+    suggestions.add(
+      suggestions.size % 2
+        ? `${base}${Math.floor(10 + Math.random() * 90)}`
+        : `${base}-${generateIdentifier(PREFIX_SUFFIX_LENGTH)}`
+    );
+  }
+  return [...suggestions];
+};
+
+export const addressTakenError = (localPart, domain) => {
+  const error = new Error(
+    `The address ${localPart}@${domain} is already taken`
+  );
+  error.status = 409;
+  error.suggestions = suggestLocalParts(localPart).map(
+    (suggestion) => `${suggestion}@${domain}`
+  );
+  return error;
+};
+
+// { localPart } is used as-is, { prefix } gets a random suffix, otherwise the
+// whole local part is random
+export const generateLocalPart = ({ localPart, prefix } = {}) => {
+  if (localPart) return localPart;
+  if (prefix) return `${prefix}-${generateIdentifier(PREFIX_SUFFIX_LENGTH)}`;
+  // First character must be a letter, rest can be letters or numbers
+  const firstChar = letters[crypto.randomInt(letters.length)];
+  return firstChar + generateIdentifier(MAILBOX_LOCAL_PART_LENGTH - 1);
+};
+
+export const generatePassword = () => generateIdentifier(PASSWORD_LENGTH);
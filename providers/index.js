@@ -0,0 +1,234 @@
+import { readFileSync } from "fs";
+import { createMailTmProvider } from "./mailtm.js";
+import { createSmtpProvider } from "./smtp.js";
+import { createMailboxStore } from "../store.js";
+import { logger } from "../logger.js";
+
+// Every provider exposes the same shape:
+//   provision(preferredDomain, { localPart, prefix }) -> { accountId, address, domain, password, token, tokenExpiresAt, refreshToken }
+//   authenticate(address, password) -> { accountId, token, refreshToken, tokenExpiresAt }
+//   listMessages(mailbox, { limit, since, before }) -> { messages, hasMore, total }
+//     messages are normalized and newest first; since is an ISO date, before a
+//     { receivedAt, id } cursor
+//   getMessage(mailbox, messageId) -> normalized message
+//   getAttachment(mailbox, messageId, attachmentId) -> { id, filename, contentType, size, stream }
+//   getRawMessage(mailbox, messageId) -> { size, stream } of the RFC 822 source
+//   markMessageSeen(mailbox, messageId, seen) -> normalized message
+//   deleteMessage(mailbox, messageId) -> removes one message
+//   deleteAccount(mailbox) -> removes the upstream account
+//   listDomains() -> domain strings the provider can create addresses on
+//   describeDomains() -> [{ domain, preferred, health }] with recent provisioning health
+//   domainScores() -> optional, the domain scorer's state for debugging
+//   handlesDomain(domain) -> optional, true when the provider owns the domain
+
+// Preferred domains, highest priority first. Provisioning only uses these when
+// the API offers any of them, weighting earlier entries more heavily.
+const DEFAULT_MAIL_TM_DOMAIN_PRIORITY = [
+  "mail.tm",
+  "elyxstore.com",
+  "ketoblisslabs.com",
+  "ekii.de",
+  "doer.sbs",
+  "asia-mail.com",
+  "besenica.com",
+  "badfist.com",
+  "comfythings.com",
+];
+
+const readDomainList = (value, fallback) => {
+  const domains = (value || "")
+    .split(",")
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean);
+  return domains.length ? domains : fallback;
+};
+
+const isSmtpEnabled = process.env.SMTP_ENABLED === "true";
+const SMTP_DOMAINS = readDomainList(process.env.SMTP_DOMAINS, []);
+
+// A base URL of "mock" serves the provider from an in-process mail.tm mock,
+// for offline development and tests; see getMockServer(). The mock module is
+// only loaded when a provider is configured that way.
+const usesMock = [
+  process.env.MAIL_TM_BASE_URL,
+  process.env.MAIL_GW_BASE_URL,
+].includes("mock");
+const { createMockMailTm } = usesMock ? await import("./mailtmMock.js") : {};
+const mockServers = new Map();
+
+export const getMockServer = (name) => mockServers.get(name) || null;
+
+const mailTmOptions = (name, baseUrl, preferredDomains) => {
+  if (baseUrl !== "mock") return { name, baseUrl, preferredDomains };
+  const mock = createMockMailTm(
+    preferredDomains.length ? { domains: preferredDomains } : {}
+  );
+  mockServers.set(name, mock);
+  return {
+    name,
+    baseUrl: `http://${name}.mock`,
+    preferredDomains,
+    fetch: mock.fetch,
+    retryBaseDelayMs: 10,
+  };
+};
+
+const providerFactories = {
+  mailtm: () =>
+    createMailTmProvider(
+      mailTmOptions(
+        "mailtm",
+        process.env.MAIL_TM_BASE_URL || "https://api.mail.tm",
+        readDomainList(
+          process.env.MAIL_TM_DOMAIN_PRIORITY,
+          DEFAULT_MAIL_TM_DOMAIN_PRIORITY
+        )
+      )
+    ),
+  mailgw: () =>
+    createMailTmProvider(
+      mailTmOptions(
+        "mailgw",
+        process.env.MAIL_GW_BASE_URL || "https://api.mail.gw",
+        readDomainList(process.env.MAIL_GW_DOMAIN_PRIORITY, [])
+      )
+    ),
+  smtp: () =>
+    createSmtpProvider({
+      name: "smtp",
+      domains: SMTP_DOMAINS,
+      maxMessageBytes:
+        Number(process.env.SMTP_MAX_MESSAGE_BYTES) || 10 * 1024 * 1024,
+      accountStore: createMailboxStore("smtpAccounts"),
+      contentStore: createMailboxStore("smtpContent"),
+    }),
+};
+
+// Ordered list from MAIL_PROVIDERS, first entry is the primary provider
+const configuredProviderNames = (process.env.MAIL_PROVIDERS || "mailtm")
+  .split(",")
+  .map((entry) => entry.trim().toLowerCase())
+  .filter(Boolean);
+
+// The SMTP receiver always takes part when enabled, as the last failover
+if (isSmtpEnabled && !configuredProviderNames.includes("smtp")) {
+  configuredProviderNames.push("smtp");
+}
+
+const providers = new Map();
+
+export const getProvider = (name) => {
+  const key = (name || configuredProviderNames[0] || "mailtm").toLowerCase();
+  if (!providers.has(key)) {
+    const factory = providerFactories[key];
+    if (!factory) {
+      const error = new Error(`Unknown mail provider "${name}"`);
+      error.status = 500;
+      throw error;
+    }
+    providers.set(key, factory());
+  }
+  return providers.get(key);
+};
+
+export const getActiveProviders = () =>
+  configuredProviderNames.map((name) => getProvider(name));
+
+// Provision on the primary provider, failing over to the next one in order
+export const provisionMailbox = async (preferredDomain, options = {}) => {
+  const active = getActiveProviders();
+  // A requested domain owned by one of our providers never goes upstream
+  const owners = preferredDomain
+    ? active.filter((provider) => provider.handlesDomain?.(preferredDomain))
+    : [];
+  const errors = [];
+  for (const provider of owners.length ? owners : active) {
+    try {
+      const remote = await provider.provision(preferredDomain, options);
+      return { ...remote, provider: provider.name };
+    } catch (error) {
+      // A taken address is the caller's problem, not the provider's
+      if (error.status === 409) throw error;
+      errors.push(error);
+      logger.warn("[Provider Failover]", {
+        provider: provider.name,
+        status: error.status,
+        message: error.message,
+      });
+    }
+  }
+  if (!errors.length) {
+    throw new Error("No mail providers configured");
+  }
+  // Surface the primary provider's error, it is the most meaningful one
+  throw errors[0];
+};
+
+// Log in to an existing upstream account, e.g. to restore a forgotten
+// mailbox. Providers owning the domain are tried first, then the rest in order.
+export const authenticateMailbox = async (address, password) => {
+  const domain = address.split("@")[1];
+  const active = getActiveProviders();
+  const owners = active.filter((provider) => provider.handlesDomain?.(domain));
+  const errors = [];
+  for (const provider of owners.length ? owners : active) {
+    try {
+      const auth = await provider.authenticate(address, password);
+      return { ...auth, address, domain, password, provider: provider.name };
+    } catch (error) {
+      errors.push(error);
+    }
+  }
+  // Unknown address and wrong secret look the same to the caller
+  const failure = errors.find((error) => error.status !== 401);
+  if (failure) throw failure;
+  const error = new Error("Invalid address or recovery secret");
+  error.status = 401;
+  throw error;
+};
+
+// Domains of every active provider; the first provider listing a domain wins
+export const describeDomains = async () => {
+  const seen = new Set();
+  const domains = [];
+  for (const provider of getActiveProviders()) {
+    try {
+      for (const entry of await provider.describeDomains()) {
+        const key = entry.domain.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        domains.push({ ...entry, provider: provider.name });
+      }
+    } catch (error) {
+      logger.warn("[Domain List] Provider failed", {
+        provider: provider.name,
+        message: error.message,
+      });
+    }
+  }
+  return domains;
+};
+
+export const startSmtpReceiver = () => {
+  if (!isSmtpEnabled) return null;
+  const { SMTP_TLS_KEY_PATH, SMTP_TLS_CERT_PATH } = process.env;
+  return getProvider("smtp").listen({
+    port: Number(process.env.SMTP_PORT) || 2525,
+    host: process.env.SMTP_HOST || "0.0.0.0",
+    tls:
+      SMTP_TLS_KEY_PATH && SMTP_TLS_CERT_PATH
+        ? {
+            key: readFileSync(SMTP_TLS_KEY_PATH),
+            cert: readFileSync(SMTP_TLS_CERT_PATH),
+          }
+        : null,
+  });
+};
+
+// Scorer and circuit breaker state of every active provider, for debugging
+export const getDomainScores = () =>
+  Object.fromEntries(
+    getActiveProviders()
+      .filter((provider) => provider.domainScores)
+      .map((provider) => [provider.name, provider.domainScores()])
+  );
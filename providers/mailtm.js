@@ -0,0 +1,880 @@
+import dayjs from "dayjs";
+import { Readable } from "stream";
+import {
+  addressTakenError,
+  generateLocalPart,
+  generatePassword,
+} from "./identifiers.js";
+import { isBeforeCursor, isNewerThan } from "./paging.js";
+import { createDomainHealth } from "./domainHealth.js";
+import { metrics, metricsPath } from "../metrics.js";
+import { logger as rootLogger } from "../logger.js";
+
+// mail.tm compatible provider (also works for mail.gw, which exposes the same API)
+const DOMAIN_CACHE_TTL_MS = 10 * 60 * 1000;
+const MESSAGE_PAGE_SIZE = 30; // mail.tm's fixed page size for /messages
+const MAX_LIST_PAGES = 10; // upstream list calls per request, at most
+const MAX_CACHED_MAILBOXES = 1000;
+const MAX_DOMAINS_PER_PROVISION = 15;
+const MAX_CACHED_MESSAGES_PER_MAILBOX = 200;
+
+const normalizeDomainEntry = (entry) => {
+  if (!entry) return null;
+  if (typeof entry === "string") return entry;
+  return entry.domain || entry.name || entry.address || null;
+};
+
+const listDomainStrings = (entries) =>
+  entries
+    .map((entry) => normalizeDomainEntry(entry))
+    .filter((domain) => typeof domain === "string");
+
+const normalizeMessage = (message) => ({
+  id: message.id,
+  from: message.from?.address || message.from?.name || "unknown",
+  subject: message.subject || "(no subject)",
+  body: message.text || message.intro || "",
+  html: Array.isArray(message.html)
+    ? message.html.join("")
+    : message.html || "",
+  intro: message.intro,
+  seen: message.seen,
+  receivedAt: message.createdAt,
+  attachments: (message.attachments || []).map((attachment) => ({
+    id: attachment.id,
+    filename: attachment.filename || attachment.id,
+    contentType: attachment.contentType || "application/octet-stream",
+    size: Number(attachment.size) || 0,
+  })),
+});
+
+export const createMailTmProvider = ({
+  name = "mailtm",
+  baseUrl = "https://api.mail.tm",
+  preferredDomains = [],
+  // Overridable so the in-process mock and tests can run without a network
+  fetch: fetchImpl = fetch,
+  // 55s on Vercel (below its 60s limit), 30s elsewhere
+  timeoutMs = Number(process.env.MAIL_TM_TIMEOUT_MS) ||
+    (process.env.VERCEL ? 55000 : 30000),
+  retryBaseDelayMs = 1000,
+} = {}) => {
+  const logger = rootLogger.child({ provider: name });
+  let cachedDomains = { expiresAt: 0, items: [] };
+  const domainHealth = createDomainHealth();
+  // Normalized message details per account, least recently used mailbox first.
+  // Message bodies never change upstream, so only new ids need a detail call.
+  const messageCache = new Map(); // accountId -> Map(messageId -> message)
+
+  // fetch() against the API, recording latency by path and status
+  const timedFetch = async (pathFragment, init) => {
+    const stopTimer = metrics.upstreamRequestDuration.startTimer();
+    const labels = {
+      provider: name,
+      method: init.method || "GET",
+      path: metricsPath(pathFragment),
+    };
+    try {
+      const response = await fetchImpl(`${baseUrl}${pathFragment}`, init);
+      stopTimer({ ...labels, status: response.status });
+      return response;
+    } catch (error) {
+      stopTimer({ ...labels, status: "error" });
+      throw error;
+    }
+  };
+
+  const mailTmRequest = async (
+    pathFragment,
+    { method = "GET", headers = {}, body, retries = 0, maxRetries = 3 } = {}
+  ) => {
+    // Create timeout controller
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await timedFetch(pathFragment, {
+        method,
+        headers: {
+          Accept: "application/ld+json",
+          ...(body ? { "Content-Type": "application/json" } : {}),
+          ...headers,
+        },
+        body,
+        signal: controller.signal,
+      });
+
+      clearTimeout(timeoutId); // Clear timeout on successful response
+
+      const text = await response.text();
+      let data;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch {
+        data = null;
+      }
+
+      if (!response.ok) {
+        // Retry on 500 errors with exponential backoff
+        if (response.status >= 500 && retries < maxRetries) {
+          metrics.upstreamRetries.inc({
+            provider: name,
+            path: metricsPath(pathFragment),
+            reason: String(response.status),
+          });
+          const delay = Math.min(
+            retryBaseDelayMs * Math.pow(2, retries),
+            retryBaseDelayMs * 5
+          ); // Exponential backoff, max 5s by default
+          logger.warn("[mail.tm Retry]", {
+            method,
+            path: pathFragment,
+            status: response.status,
+            delayMs: delay,
+            attempt: retries + 1,
+            maxRetries,
+          });
+          await new Promise((resolve) => setTimeout(resolve, delay));
+          return mailTmRequest(pathFragment, {
+            method,
+            headers,
+            body,
+            retries: retries + 1,
+            maxRetries,
+          });
+        }
+
+        // Handle cases where mail.tm returns an HTML "NOT_FOUND" page instead of JSON
+        let messageFromRemote =
+          data?.detail ||
+          data?.message ||
+          `mail.tm request failed (${response.status})`;
+
+        const lowerText = (text || "").toLowerCase();
+
+        // Handle structured text errors with Code and ID fields
+        if (text && !data) {
+          // Check for structured error format like "404: NOT_FOUND\n\nCode: NOT_FOUND\n\nID: ..."
+          const codeMatch = text.match(/Code:\s*(\w+)/i);
+          const notFoundMatch = text.match(/NOT_FOUND/i);
+
+          if (codeMatch || notFoundMatch || lowerText.includes("not_found")) {
+            messageFromRemote =
+              "Mailbox provider is temporarily unavailable. Please try again in a few seconds.";
+          } else if (response.status === 404) {
+            messageFromRemote =
+              "Requested resource not found. Please try again.";
+          } else if (response.status >= 500) {
+            messageFromRemote =
+              "Mailbox provider service error. Please try again in a few moments.";
+          }
+        } else if (
+          lowerText.includes("not_found") ||
+          lowerText.includes("the page could not be found") ||
+          data?.code === "NOT_FOUND"
+        ) {
+          // Normalize the message so frontend doesn't see raw HTML / opaque IDs
+          messageFromRemote =
+            "Mailbox provider is temporarily unavailable. Please try again in a few seconds.";
+        } else if (response.status >= 500) {
+          messageFromRemote =
+            "Mailbox provider service error. Please try again in a few moments.";
+        }
+
+        // Log error details for debugging (server-side only)
+        logger.error("[mail.tm Error]", {
+          method,
+          path: pathFragment,
+          status: response.status,
+          message: messageFromRemote,
+          hasData: !!data,
+          textSnippet: text ? text.slice(0, 100) : null,
+          retries,
+        });
+
+        const error = new Error(messageFromRemote);
+        error.status = response.status;
+        error.data = data;
+        // Preserve a small snippet of the raw body for server-side debugging
+        if (!data && text) {
+          error.rawBodySnippet = text.slice(0, 200);
+        }
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      clearTimeout(timeoutId); // Clean up timeout
+      // Handle timeout and network errors with retry
+      if (
+        (error.name === "AbortError" ||
+          error.name === "TimeoutError" ||
+          error.name === "TypeError") &&
+        retries < maxRetries
+      ) {
+        metrics.upstreamRetries.inc({
+          provider: name,
+          path: metricsPath(pathFragment),
+          reason: error.name === "TypeError" ? "network" : "timeout",
+        });
+        const delay = Math.min(
+          retryBaseDelayMs * Math.pow(2, retries),
+          retryBaseDelayMs * 5
+        );
+        logger.warn("[mail.tm Retry]", {
+          method,
+          path: pathFragment,
+          reason: error.name === "TypeError" ? "network" : "timeout",
+          delayMs: delay,
+          attempt: retries + 1,
+          maxRetries,
+        });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        return mailTmRequest(pathFragment, {
+          method,
+          headers,
+          body,
+          retries: retries + 1,
+          maxRetries,
+        });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId); // Ensure cleanup happens
+    }
+  };
+
+  const getAvailableDomains = async () => {
+    const now = Date.now();
+    if (cachedDomains.items.length && cachedDomains.expiresAt > now) {
+      metrics.domainCacheLookups.inc({ provider: name, result: "hit" });
+      return cachedDomains.items;
+    }
+    metrics.domainCacheLookups.inc({ provider: name, result: "miss" });
+    try {
+      // Use more retries for domain fetching as it's critical
+      const payload = await mailTmRequest("/domains", { maxRetries: 5 });
+      const domains = payload?.["hydra:member"] || [];
+      cachedDomains = {
+        items: domains,
+        expiresAt: now + DOMAIN_CACHE_TTL_MS,
+      };
+      if (domains.length > 0) {
+        logger.info("[Domain Cache] Fetched domains", {
+          count: domains.length,
+        });
+      }
+      return domains;
+    } catch (error) {
+      // If domain fetch fails but we have cached domains, use those
+      if (cachedDomains.items.length > 0) {
+        logger.warn("[Domain Fetch Error] Using cached domains", {
+          message: error.message,
+        });
+        // Extend cache expiration slightly to avoid repeated failures
+        cachedDomains.expiresAt = now + 5 * 60 * 1000; // 5 minutes
+        return cachedDomains.items;
+      }
+      // If no cached domains and fetch fails, log warning but return empty array
+      // This allows fallback to the preferred domains list
+      logger.warn(
+        "[Domain Fetch Error] No cached domains, falling back to default domains",
+        { message: error.message }
+      );
+      return []; // Return empty array to allow fallback logic
+    }
+  };
+
+  // Validates a requested domain against the provider's list
+  const pickMailTmDomain = async (preferredDomain) => {
+    const domains = await getAvailableDomains();
+    let domainStrings = listDomainStrings(domains);
+
+    // Fallback to default preferred domains if API is unavailable
+    if (!domainStrings.length) {
+      logger.warn(
+        "[Domain Fallback] No domains from API, using default preferred domains for selection"
+      );
+      domainStrings = [...preferredDomains];
+    }
+
+    if (!domainStrings.length) {
+      throw new Error("No disposable domains available");
+    }
+
+    const normalizedPreferred = preferredDomain.toLowerCase();
+    const match = domainStrings.find(
+      (domain) => domain.toLowerCase() === normalizedPreferred
+    );
+    if (!match) {
+      const error = new Error(
+        `Requested domain "${preferredDomain}" is not available. Try one of: ${domainStrings.join(
+          ", "
+        )}`
+      );
+      error.status = 422;
+      error.availableDomains = domainStrings;
+      throw error;
+    }
+    return match;
+  };
+
+  // Preferred domains the API currently offers
+  const getAvailablePreferredDomains = async () => {
+    const domains = await getAvailableDomains();
+    const domainStrings = listDomainStrings(domains);
+
+    // If no domains from API, fall back to default preferred domains
+    if (domainStrings.length === 0) {
+      logger.warn(
+        "[Domain Fallback] No domains from API, using default preferred domains list"
+      );
+      return [...preferredDomains]; // Return a copy of default domains
+    }
+
+    const preferred = domainStrings.filter((domain) =>
+      preferredDomains.includes(domain.toLowerCase())
+    );
+
+    // If no preferred domains found in API response, use all domains from the API
+    if (preferred.length === 0) {
+      if (!preferredDomains.length) {
+        return domainStrings;
+      }
+      logger.warn(
+        "[Domain Fallback] No preferred domains found in API response, using default list"
+      );
+      return [...preferredDomains]; // Return a copy of default domains
+    }
+
+    return preferred;
+  };
+
+  const authenticateMailTm = async (address, password) => {
+    const body = JSON.stringify({ address, password });
+    const data = await mailTmRequest("/token", { method: "POST", body });
+    const expiresIn = Number(data?.expires_in) || 3600;
+    return {
+      accountId: data?.id || null,
+      token: data?.token,
+      refreshToken: data?.refresh_token || null,
+      tokenExpiresAt: dayjs().add(expiresIn, "second").toISOString(),
+    };
+  };
+
+  const ensureMailTmToken = async (mailbox) => {
+    if (mailbox.token && dayjs().isBefore(mailbox.tokenExpiresAt)) {
+      return mailbox.token;
+    }
+    const auth = await authenticateMailTm(mailbox.address, mailbox.password);
+    mailbox.token = auth.token;
+    mailbox.refreshToken = auth.refreshToken;
+    mailbox.tokenExpiresAt = auth.tokenExpiresAt;
+    return mailbox.token;
+  };
+
+  const getMessageCache = (mailbox) => {
+    const key = mailbox.accountId || mailbox.address;
+    let cache = messageCache.get(key);
+    if (cache) {
+      messageCache.delete(key);
+    } else {
+      cache = new Map();
+    }
+    messageCache.set(key, cache);
+    if (messageCache.size > MAX_CACHED_MAILBOXES) {
+      messageCache.delete(messageCache.keys().next().value);
+    }
+    return cache;
+  };
+
+  const cacheMessage = (cache, message) => {
+    cache.set(message.id, message);
+    if (cache.size > MAX_CACHED_MESSAGES_PER_MAILBOX) {
+      cache.delete(cache.keys().next().value);
+    }
+    return message;
+  };
+
+  const fetchMailboxMessages = async (
+    mailbox,
+    { limit = 25, since = null, before = null } = {}
+  ) => {
+    const token = await ensureMailTmToken(mailbox);
+    const cache = getMessageCache(mailbox);
+
+    // Walk the newest-first pages until we have one more summary than asked
+    // for (to know whether there is more) or reach messages older than since
+    const selected = [];
+    let total = 0;
+    for (let page = 1; page <= MAX_LIST_PAGES; page += 1) {
+      const list = await mailTmRequest(`/messages?page=${page}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      metrics.messageFetches.inc({ provider: name, kind: "list" });
+      const members = list?.["hydra:member"] || [];
+      total = Number(list?.["hydra:totalItems"]) || total + members.length;
+      let reachedSince = false;
+      for (const item of members) {
+        if (!isNewerThan(item.createdAt, since)) {
+          reachedSince = true;
+          break;
+        }
+        if (
+          isBeforeCursor({ id: item.id, receivedAt: item.createdAt }, before)
+        ) {
+          selected.push(item);
+        }
+        if (selected.length > limit) break;
+      }
+      if (
+        reachedSince ||
+        selected.length > limit ||
+        members.length < MESSAGE_PAGE_SIZE ||
+        page * MESSAGE_PAGE_SIZE >= total
+      ) {
+        break;
+      }
+    }
+
+    const summaries = selected.slice(0, limit);
+    // Fetch details only for messages we have not seen before, handling
+    // individual message errors gracefully
+    const detailed = await Promise.allSettled(
+      summaries.map(async (item) => {
+        const cached = cache.get(item.id);
+        if (cached) {
+          metrics.messageFetches.inc({ provider: name, kind: "cached" });
+          // The seen flag is the only thing that changes after delivery
+          cached.seen = item.seen;
+          return cached;
+        }
+        metrics.messageFetches.inc({ provider: name, kind: "detail" });
+        const message = await mailTmRequest(
+          `/messages/${encodeURIComponent(item.id)}`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        return cacheMessage(cache, normalizeMessage(message));
+      })
+    );
+    // Filter out failed requests and keep successful ones
+    return {
+      messages: detailed
+        .filter((result) => result.status === "fulfilled")
+        .map((result) => result.value),
+      hasMore: selected.length > limit,
+      total,
+    };
+  };
+
+  const fetchMailboxMessage = async (mailbox, messageId) => {
+    const cache = getMessageCache(mailbox);
+    const token = await ensureMailTmToken(mailbox);
+    metrics.messageFetches.inc({ provider: name, kind: "detail" });
+    const message = await mailTmRequest(
+      `/messages/${encodeURIComponent(messageId)}`,
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    return cacheMessage(cache, normalizeMessage(message));
+  };
+
+  const updateMailboxMessageSeen = async (mailbox, messageId, seen) => {
+    const token = await ensureMailTmToken(mailbox);
+    const message = await mailTmRequest(
+      `/messages/${encodeURIComponent(messageId)}`,
+      {
+        method: "PATCH",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/merge-patch+json",
+        },
+        body: JSON.stringify({ seen }),
+      }
+    );
+    // mail.tm answers with a partial object, so re-read the full message
+    return message?.subject !== undefined
+      ? cacheMessage(getMessageCache(mailbox), normalizeMessage(message))
+      : fetchMailboxMessage(mailbox, messageId);
+  };
+
+  const deleteMailboxMessage = async (mailbox, messageId) => {
+    const token = await ensureMailTmToken(mailbox);
+    await mailTmRequest(`/messages/${encodeURIComponent(messageId)}`, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    getMessageCache(mailbox).delete(messageId);
+  };
+
+  // Binary download with the same timeout as mailTmRequest, no JSON parsing
+  const mailTmDownload = async (
+    pathFragment,
+    { headers = {}, notFoundMessage = "Attachment not found" } = {}
+  ) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await timedFetch(pathFragment, {
+        headers,
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        logger.error("[mail.tm Error]", {
+          path: pathFragment,
+          status: response.status,
+        });
+        const error = new Error(
+          response.status === 404
+            ? notFoundMessage
+            : `mail.tm request failed (${response.status})`
+        );
+        error.status = response.status;
+        throw error;
+      }
+      return { response, done: () => clearTimeout(timeoutId) };
+    } catch (error) {
+      clearTimeout(timeoutId);
+      throw error;
+    }
+  };
+
+  const fetchMailboxAttachment = async (mailbox, messageId, attachmentId) => {
+    const message = await fetchMailboxMessage(mailbox, messageId);
+    const attachment = message.attachments.find(
+      (item) => item.id === attachmentId
+    );
+    if (!attachment) {
+      const error = new Error("Attachment not found");
+      error.status = 404;
+      throw error;
+    }
+    const token = await ensureMailTmToken(mailbox);
+    const { response, done } = await mailTmDownload(
+      `/messages/${encodeURIComponent(messageId)}/attachment/${encodeURIComponent(
+        attachmentId
+      )}`,
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    const stream = Readable.fromWeb(response.body);
+    stream.once("close", done);
+    return {
+      ...attachment,
+      contentType:
+        response.headers.get("content-type") || attachment.contentType,
+      size: Number(response.headers.get("content-length")) || attachment.size,
+      stream,
+    };
+  };
+
+  // RFC 822 source of a message, as received by mail.tm
+  const fetchMailboxRawMessage = async (mailbox, messageId) => {
+    const token = await ensureMailTmToken(mailbox);
+    const { response, done } = await mailTmDownload(
+      `/messages/${encodeURIComponent(messageId)}/download`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+        notFoundMessage: "Message not found",
+      }
+    );
+    const stream = Readable.fromWeb(response.body);
+    stream.once("close", done);
+    return {
+      size: Number(response.headers.get("content-length")) || 0,
+      stream,
+    };
+  };
+
+  const deleteMailTmAccount = async (mailbox) => {
+    if (!mailbox.accountId) return;
+    const token = await ensureMailTmToken(mailbox);
+    await mailTmRequest(`/accounts/${encodeURIComponent(mailbox.accountId)}`, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    messageCache.delete(mailbox.accountId);
+  };
+
+  // Rate limits, server errors and timeouts count against the domain
+  const isDomainFailure = (error) =>
+    !error.status ||
+    error.status >= 500 ||
+    error.status === 429 ||
+    (error.status === 422 &&
+      /rate|limit/i.test(
+        `${error.data?.detail || ""} ${error.data?.message || ""}`
+      ));
+
+  const recordDomainOutcome = (domain, error = null) => {
+    if (!error) {
+      domainHealth.recordSuccess(domain);
+    } else if (isDomainFailure(error)) {
+      domainHealth.recordFailure(domain, error);
+    }
+    if (error?.status === 429) {
+      metrics.upstreamRateLimited.inc({ provider: name, domain });
+    }
+  };
+
+  // mail.tm answers 422 "This value is already used." for a taken address
+  const isAddressTaken = (error) =>
+    error.status === 409 ||
+    (error.status === 422 &&
+      /already/i.test(
+        JSON.stringify(
+          error.data?.["hydra:description"] ||
+            error.data?.violations ||
+            error.data?.detail ||
+            ""
+        )
+      ));
+
+  // { localPart } asks for an exact address, so it is never retried with a
+  // different one; a taken address is reported as a 409 with suggestions
+  const provisionMailboxWithMailTm = async (
+    preferredDomain,
+    { localPart: requestedLocalPart, prefix } = {}
+  ) => {
+    // If specific domain requested, use it
+    if (preferredDomain) {
+      const domain = await pickMailTmDomain(preferredDomain);
+      for (let attempt = 0; attempt < 5; attempt += 1) {
+        const localPart = generateLocalPart({
+          localPart: requestedLocalPart,
+          prefix,
+        });
+        const address = `${localPart}@${domain}`;
+        const password = generatePassword();
+        try {
+          const account = await mailTmRequest("/accounts", {
+            method: "POST",
+            body: JSON.stringify({ address, password }),
+          });
+          recordDomainOutcome(domain);
+          const auth = await authenticateMailTm(address, password);
+          const actualDomain = address.split("@")[1] || domain;
+          return {
+            accountId: account.id,
+            address,
+            domain: actualDomain,
+            password,
+            token: auth.token,
+            tokenExpiresAt: auth.tokenExpiresAt,
+            refreshToken: auth.refreshToken,
+          };
+        } catch (error) {
+          recordDomainOutcome(domain, error);
+          if (requestedLocalPart) {
+            throw isAddressTaken(error)
+              ? addressTakenError(requestedLocalPart, domain)
+              : error;
+          }
+          if ([400, 409, 422].includes(error.status)) {
+            continue;
+          }
+          throw error;
+        }
+      }
+      throw new Error("Unable to allocate mailbox at this time");
+    }
+
+    // Get available preferred domains
+    const availablePreferred = await getAvailablePreferredDomains();
+    const allDomains = await getAvailableDomains();
+    let allDomainStrings = listDomainStrings(allDomains);
+
+    // Fallback to default domains if API is completely unavailable
+    if (!allDomainStrings.length && availablePreferred.length > 0) {
+      logger.warn(
+        "[Domain Fallback] Using preferred domains list as API is unavailable"
+      );
+      allDomainStrings = [...preferredDomains];
+    }
+
+    // Get list of domains to try (preferred first)
+    let candidates =
+      availablePreferred.length > 0 ? availablePreferred : allDomainStrings;
+
+    // Final fallback: if still no domains, use default list
+    if (!candidates.length) {
+      logger.warn(
+        "[Domain Fallback] All fallbacks failed, using default preferred domains list"
+      );
+      candidates = [...preferredDomains];
+      if (!candidates.length) {
+        throw new Error("No domains available - configuration error");
+      }
+    }
+
+    // Cooling-down domains are skipped; the rest are ordered by recent
+    // success and configured priority
+    const domainsToTry = domainHealth
+      .rank(candidates, preferredDomains)
+      .slice(0, MAX_DOMAINS_PER_PROVISION);
+    const maxDomainsToTry = domainsToTry.length;
+    let rateLimitedDomains = 0;
+
+    logger.info("[Domain Rotation] Trying domains", {
+      trying: maxDomainsToTry,
+      candidates: candidates.length,
+      domains: domainsToTry,
+    });
+
+    // Try multiple domains if rate limited
+    for (let domainOffset = 0; domainOffset < maxDomainsToTry; domainOffset++) {
+      const domain = domainsToTry[domainOffset];
+
+      logger.debug("[Domain Rotation] Trying domain", {
+        domain,
+        position: domainOffset + 1,
+        of: maxDomainsToTry,
+      });
+
+      // Try this domain up to 2 times (reduced from 3 to fail faster and try next)
+      for (let attempt = 0; attempt < 2; attempt += 1) {
+        const localPart = generateLocalPart({
+          localPart: requestedLocalPart,
+          prefix,
+        });
+        const address = `${localPart}@${domain}`;
+        const password = generatePassword();
+
+        try {
+          const account = await mailTmRequest("/accounts", {
+            method: "POST",
+            body: JSON.stringify({ address, password }),
+          });
+          recordDomainOutcome(domain);
+          const auth = await authenticateMailTm(address, password);
+          const actualDomain = address.split("@")[1] || domain;
+
+          logger.info("[Domain Rotation] Success", { domain });
+
+          return {
+            accountId: account.id,
+            address,
+            domain: actualDomain,
+            password,
+            token: auth.token,
+            tokenExpiresAt: auth.tokenExpiresAt,
+            refreshToken: auth.refreshToken,
+          };
+        } catch (error) {
+          recordDomainOutcome(domain, error);
+          if (requestedLocalPart && isAddressTaken(error)) {
+            throw addressTakenError(requestedLocalPart, domain);
+          }
+
+          // If server error (500+), try next domain with delay
+          if (error.status >= 500) {
+            logger.warn("[Domain Rotation] Server error, trying next domain", {
+              domain,
+              status: error.status,
+            });
+            // Add delay before trying next domain for server errors
+            if (domainOffset < maxDomainsToTry - 1) {
+              await new Promise((resolve) =>
+                setTimeout(resolve, 200 + Math.random() * 300)
+              );
+            }
+            break; // Break inner loop, try next domain
+          }
+
+          // If rate limited (429), add delay and try next domain
+          if (error.status === 429) {
+            rateLimitedDomains++;
+            logger.warn("[Domain Rotation] Rate limited, trying next domain", {
+              domain,
+              status: 429,
+              rateLimitedDomains,
+            });
+
+            // Add small delay before trying next domain (100-300ms random)
+            if (domainOffset < maxDomainsToTry - 1) {
+              await new Promise((resolve) =>
+                setTimeout(resolve, 100 + Math.random() * 200)
+              );
+            }
+            break; // Break inner loop, try next domain
+          }
+
+          // If domain-specific error (422 with rate message), try next domain
+          if (
+            error.status === 422 &&
+            (error.data?.detail?.includes("rate") ||
+              error.data?.detail?.includes("limit") ||
+              error.data?.message?.includes("rate") ||
+              error.data?.message?.includes("limit"))
+          ) {
+            rateLimitedDomains++;
+            logger.warn(
+              "[Domain Rotation] Domain limit reached, trying next domain",
+              { domain, status: 422, rateLimitedDomains }
+            );
+
+            // Add small delay before trying next domain
+            if (domainOffset < maxDomainsToTry - 1) {
+              await new Promise((resolve) =>
+                setTimeout(resolve, 100 + Math.random() * 200)
+              );
+            }
+            break;
+          }
+
+          if ([400, 409].includes(error.status)) {
+            if (attempt < 1) {
+              await new Promise((resolve) => setTimeout(resolve, 50));
+            }
+            continue;
+          }
+
+          logger.warn("[Domain Rotation] Error, trying next domain", {
+            domain,
+            status: error.status,
+          });
+          break;
+        }
+      }
+    }
+
+    // Check if we had server errors (500+) vs rate limits
+    let errorMessage;
+    if (rateLimitedDomains >= maxDomainsToTry - 2) {
+      errorMessage =
+        "Unable to allocate mailbox. All domains are currently rate-limited. Please wait a few seconds and try again.";
+    } else {
+      errorMessage =
+        "Unable to allocate mailbox at this time. The email service may be temporarily unavailable. Please try again in a few moments.";
+    }
+
+    logger.error("[Domain Rotation] Failed", {
+      tried: maxDomainsToTry,
+      rateLimitedDomains,
+    });
+    throw new Error(errorMessage);
+  };
+
+  return {
+    name,
+    provision: provisionMailboxWithMailTm,
+    authenticate: authenticateMailTm,
+    ensureToken: ensureMailTmToken,
+    listMessages: fetchMailboxMessages,
+    getMessage: fetchMailboxMessage,
+    getAttachment: fetchMailboxAttachment,
+    getRawMessage: fetchMailboxRawMessage,
+    markMessageSeen: updateMailboxMessageSeen,
+    deleteMessage: deleteMailboxMessage,
+    deleteAccount: deleteMailTmAccount,
+    listDomains: async () => listDomainStrings(await getAvailableDomains()),
+    domainScores: () => domainHealth.snapshot(),
+    describeDomains: async () => {
+      let domains = listDomainStrings(await getAvailableDomains());
+      if (!domains.length) domains = [...preferredDomains];
+      return domains.map((domain) => ({
+        domain,
+        preferred: preferredDomains.includes(domain.toLowerCase()),
+        health: domainHealth.describe(domain),
+      }));
+    },
+  };
+};
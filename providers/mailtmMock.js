@@ -0,0 +1,557 @@
+import http from "http";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import { logger } from "../logger.js";
+
+// In-memory stand-in for the mail.tm API, for local development and tests.
+// It implements the endpoints the mailtm provider calls, plus admin routes
+// under /_admin to inject messages and to simulate upstream failures:
+//
+//   POST   /_admin/messages  { to, from, fromName, subject, text, html } -> { id }
+//   POST   /_admin/faults    { status, path, method, domain, times, delayMs } -> { id }
+//            status is an HTTP status, "not_found" (Vercel-style HTML 404
+//            page) or "timeout" (no answer until delayMs or the client aborts)
+//   DELETE /_admin/faults    clears all faults
+//   POST   /_admin/reset     forgets accounts, messages and faults
+//   GET    /_admin/state     counts, active faults and the request log
+//
+// Use it in-process with MAIL_TM_BASE_URL=mock, from code through
+// createMockMailTm().fetch, or standalone: node providers/mailtmMock.js [port]
+const PAGE_SIZE = 30;
+const DEFAULT_DOMAINS = ["mail.tm", "elyxstore.com", "ekii.de"];
+const DEFAULT_TIMEOUT_DELAY_MS = 60 * 1000;
+const MAX_LOGGED_REQUESTS = 200;
+
+const json = (status, body, headers = {}) => ({
+  status,
+  headers: { "Content-Type": "application/ld+json", ...headers },
+  body: body === undefined ? "" : JSON.stringify(body),
+});
+
+const NOT_FOUND_PAGE = (id) =>
+  `The page could not be found\n\nNOT_FOUND\n\nCode: NOT_FOUND\n\nID: ${id}\n`;
+
+const abortError = () => {
+  const error = new Error("The operation was aborted");
+  error.name = "AbortError";
+  return error;
+};
+
+export const createMockMailTm = ({ domains = DEFAULT_DOMAINS } = {}) => {
+  let accounts = new Map(); // address -> { id, address, password, createdAt }
+  let tokens = new Map(); // token -> account id
+  let messages = []; // newest first, each with accountId
+  let faults = [];
+  let requests = [];
+  let counter = 0;
+
+  const nextId = () => {
+    counter += 1;
+    return crypto
+      .createHash("sha1")
+      .update(`${counter}-${Date.now()}`)
+      .digest("hex")
+      .slice(0, 24);
+  };
+
+  const reset = () => {
+    accounts = new Map();
+    tokens = new Map();
+    messages = [];
+    faults = [];
+    requests = [];
+  };
+
+  const addFault = ({
+    status = 500,
+    path = "",
+    method = null,
+    domain = null,
+    times = Infinity,
+    delayMs = DEFAULT_TIMEOUT_DELAY_MS,
+  } = {}) => {
+    const fault = {
+      id: nextId(),
+      status,
+      path,
+      method: method?.toUpperCase() || null,
+      domain: domain?.toLowerCase() || null,
+      remaining: times ?? Infinity,
+      delayMs,
+    };
+    faults.push(fault);
+    return fault;
+  };
+
+  const clearFaults = () => {
+    faults = [];
+  };
+
+  const findFault = ({ method, path, body }) => {
+    const address = typeof body?.address === "string" ? body.address : "";
+    const fault = faults.find(
+      (entry) =>
+        entry.remaining > 0 &&
+        path.startsWith(entry.path) &&
+        (!entry.method || entry.method === method) &&
+        (!entry.domain || address.toLowerCase().endsWith(`@${entry.domain}`))
+    );
+    if (fault) fault.remaining -= 1;
+    return fault;
+  };
+
+  const accountById = (id) =>
+    [...accounts.values()].find((account) => account.id === id);
+
+  const authenticate = (headers) => {
+    const match = (headers.authorization || "").match(/^Bearer\s+(\S+)$/i);
+    const accountId = match && tokens.get(match[1]);
+    return accountId ? accountById(accountId) : null;
+  };
+
+  const toSummary = (message) => ({
+    "@id": `/messages/${message.id}`,
+    "@type": "Message",
+    id: message.id,
+    accountId: `/accounts/${message.accountId}`,
+    msgid: message.msgid,
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    intro: message.text.replace(/\s+/g, " ").trim().slice(0, 120),
+    seen: message.seen,
+    isDeleted: false,
+    hasAttachments: false,
+    size: message.raw.length,
+    downloadUrl: `/messages/${message.id}/download`,
+    createdAt: message.createdAt,
+    updatedAt: message.createdAt,
+  });
+
+  const toDetail = (message) => ({
+    ...toSummary(message),
+    cc: [],
+    bcc: [],
+    flagged: false,
+    verifications: [],
+    retention: true,
+    text: message.text,
+    html: message.html ? [message.html] : [],
+    attachments: [],
+  });
+
+  const buildRaw = ({ msgid, from, to, subject, text, html, createdAt }) =>
+    [
+      `Received: from mock.sender by in.mail.tm; ${new Date(
+        createdAt
+      ).toUTCString()}`,
+      `Message-ID: <${msgid}>`,
+      `Date: ${new Date(createdAt).toUTCString()}`,
+      `From: ${from.name ? `"${from.name}" ` : ""}<${from.address}>`,
+      `To: ${to.map((entry) => `<${entry.address}>`).join(", ")}`,
+      `Subject: ${subject}`,
+      "MIME-Version: 1.0",
+      `Content-Type: ${html ? "text/html" : "text/plain"}; charset=utf-8`,
+      "",
+      html || text,
+      "",
+    ].join("\r\n");
+
+  // Deliver a message to an existing account; returns the stored message
+  const inject = ({
+    to,
+    from = "sender@example.com",
+    fromName = null,
+    subject = "Test message",
+    text = "",
+    html = "",
+  } = {}) => {
+    const account = accounts.get((to || "").toLowerCase());
+    if (!account) {
+      const error = new Error(`No mock account for "${to}"`);
+      error.status = 404;
+      throw error;
+    }
+    const id = nextId();
+    const message = {
+      id,
+      accountId: account.id,
+      msgid: `${id}@mock.mail.tm`,
+      from: { address: from, name: fromName || "" },
+      to: [{ address: account.address, name: "" }],
+      subject,
+      text,
+      html,
+      seen: false,
+      createdAt: new Date().toISOString(),
+    };
+    message.raw = buildRaw(message);
+    messages.unshift(message);
+    return message;
+  };
+
+  const routes = [
+    [
+      "GET",
+      /^\/domains$/,
+      () =>
+        json(200, {
+          "hydra:member": domains.map((domain, index) => ({
+            "@id": `/domains/${index + 1}`,
+            id: String(index + 1),
+            domain,
+            isActive: true,
+            isPrivate: false,
+          })),
+          "hydra:totalItems": domains.length,
+        }),
+    ],
+    [
+      "POST",
+      /^\/accounts$/,
+      ({ body }) => {
+        const address = (body?.address || "").toLowerCase();
+        const domain = address.split("@")[1];
+        if (!address.includes("@") || !body?.password) {
+          return json(422, {
+            "hydra:description": "address: This value is not valid.",
+            violations: [
+              { propertyPath: "address", message: "This value is not valid." },
+            ],
+          });
+        }
+        if (!domains.includes(domain)) {
+          return json(422, {
+            "hydra:description": "address: The domain is invalid.",
+            violations: [
+              { propertyPath: "address", message: "The domain is invalid." },
+            ],
+          });
+        }
+        if (accounts.has(address)) {
+          return json(422, {
+            "hydra:description": "address: This value is already used.",
+            violations: [
+              {
+                propertyPath: "address",
+                message: "This value is already used.",
+              },
+            ],
+          });
+        }
+        const account = {
+          id: nextId(),
+          address,
+          password: body.password,
+          createdAt: new Date().toISOString(),
+        };
+        accounts.set(address, account);
+        return json(201, {
+          "@id": `/accounts/${account.id}`,
+          id: account.id,
+          address,
+          quota: 40000000,
+          used: 0,
+          isDisabled: false,
+          isDeleted: false,
+          createdAt: account.createdAt,
+          updatedAt: account.createdAt,
+        });
+      },
+    ],
+    [
+      "POST",
+      /^\/token$/,
+      ({ body }) => {
+        const account = accounts.get((body?.address || "").toLowerCase());
+        if (!account || account.password !== body?.password) {
+          return json(401, { code: 401, message: "Invalid credentials." });
+        }
+        const token = `mock.${crypto.randomBytes(16).toString("hex")}`;
+        tokens.set(token, account.id);
+        return json(200, { token, id: account.id });
+      },
+    ],
+    [
+      "DELETE",
+      /^\/accounts\/([^/]+)$/,
+      ({ account, params }) => {
+        if (account.id !== params[0]) return json(403, { detail: "Forbidden" });
+        accounts.delete(account.address);
+        messages = messages.filter(
+          (message) => message.accountId !== account.id
+        );
+        return json(204);
+      },
+    ],
+    [
+      "GET",
+      /^\/messages$/,
+      ({ account, query }) => {
+        const own = messages.filter(
+          (message) => message.accountId === account.id
+        );
+        const page = Math.max(Number(query.get("page")) || 1, 1);
+        return json(200, {
+          "hydra:member": own
+            .slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE)
+            .map(toSummary),
+          "hydra:totalItems": own.length,
+        });
+      },
+    ],
+    [
+      "GET",
+      /^\/messages\/([^/]+)\/download$/,
+      ({ message }) => ({
+        status: 200,
+        headers: { "Content-Type": "message/rfc822" },
+        body: message.raw,
+      }),
+    ],
+    [
+      "GET",
+      /^\/messages\/([^/]+)$/,
+      ({ message }) => json(200, toDetail(message)),
+    ],
+    [
+      "PATCH",
+      /^\/messages\/([^/]+)$/,
+      ({ message, body }) => {
+        if (typeof body?.seen === "boolean") message.seen = body.seen;
+        return json(200, { seen: message.seen });
+      },
+    ],
+    [
+      "DELETE",
+      /^\/messages\/([^/]+)$/,
+      ({ message }) => {
+        messages = messages.filter((item) => item !== message);
+        return json(204);
+      },
+    ],
+  ];
+
+  const adminRoutes = [
+    [
+      "POST",
+      /^\/_admin\/messages$/,
+      ({ body }) => {
+        const message = inject(body || {});
+        return json(201, { id: message.id });
+      },
+    ],
+    [
+      "POST",
+      /^\/_admin\/faults$/,
+      ({ body }) => {
+        const fault = addFault(body || {});
+        return json(201, { id: fault.id });
+      },
+    ],
+    [
+      "DELETE",
+      /^\/_admin\/faults$/,
+      () => {
+        clearFaults();
+        return json(204);
+      },
+    ],
+    [
+      "POST",
+      /^\/_admin\/reset$/,
+      () => {
+        reset();
+        return json(204);
+      },
+    ],
+    [
+      "GET",
+      /^\/_admin\/state$/,
+      () =>
+        json(200, {
+          accounts: accounts.size,
+          messages: messages.length,
+          faults: faults.filter((fault) => fault.remaining > 0),
+          requests,
+        }),
+    ],
+  ];
+
+  const route = (table, { method, path }) => {
+    for (const [routeMethod, pattern, handler] of table) {
+      const match = routeMethod === method && path.match(pattern);
+      if (match) return { handler, params: match.slice(1) };
+    }
+    return null;
+  };
+
+  // { method, path, query, headers, body } -> { status, headers, body }.
+  // A "timeout" fault resolves late, or rejects once signal aborts.
+  const handle = async ({ method, path, query, headers, body, signal }) => {
+    if (path.startsWith("/_admin/")) {
+      const admin = route(adminRoutes, { method, path });
+      if (!admin) return json(404, { detail: "Not Found" });
+      try {
+        return admin.handler({ body, query });
+      } catch (error) {
+        return json(error.status || 400, { detail: error.message });
+      }
+    }
+
+    requests = [
+      ...requests,
+      {
+        method,
+        path,
+        address: body?.address || null,
+        at: new Date().toISOString(),
+      },
+    ].slice(-MAX_LOGGED_REQUESTS);
+
+    const fault = findFault({ method, path, body });
+    if (fault?.status === "timeout") {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, fault.delayMs);
+        timer.unref?.();
+        signal?.addEventListener("abort", () => {
+          clearTimeout(timer);
+          reject(abortError());
+        });
+      });
+      return json(504, { detail: "Gateway Timeout" });
+    }
+    if (fault?.status === "not_found") {
+      return {
+        status: 404,
+        headers: { "Content-Type": "text/plain; charset=utf-8" },
+        body: NOT_FOUND_PAGE(fault.id),
+      };
+    }
+    if (fault) {
+      return json(
+        Number(fault.status),
+        {
+          detail:
+            Number(fault.status) === 429
+              ? "Too Many Requests"
+              : "Internal Server Error",
+        },
+        Number(fault.status) === 429 ? { "Retry-After": "1" } : {}
+      );
+    }
+
+    const match = route(routes, { method, path });
+    if (!match) return json(404, { detail: "Not Found" });
+
+    const context = { body, query, params: match.params };
+    const open = ["/domains", "/accounts", "/token"];
+    if (!(open.includes(path) && method !== "DELETE")) {
+      context.account = authenticate(headers);
+      if (!context.account) {
+        return json(401, { code: 401, message: "JWT Token not found" });
+      }
+    }
+    if (path.startsWith("/messages/")) {
+      context.message = messages.find(
+        (message) =>
+          message.id === match.params[0] &&
+          message.accountId === context.account.id
+      );
+      if (!context.message) return json(404, { detail: "Not Found" });
+    }
+    return match.handler(context);
+  };
+
+  const parseBody = (text) => {
+    try {
+      return text ? JSON.parse(text) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  // Drop-in for global fetch, so the provider can run without a network
+  const fetch = async (input, init = {}) => {
+    const url = new URL(String(input));
+    if (init.signal?.aborted) throw abortError();
+    const headers = Object.fromEntries(
+      Object.entries(init.headers || {}).map(([key, value]) => [
+        key.toLowerCase(),
+        value,
+      ])
+    );
+    const result = await handle({
+      method: (init.method || "GET").toUpperCase(),
+      path: url.pathname,
+      query: url.searchParams,
+      headers,
+      body: parseBody(init.body),
+      signal: init.signal,
+    });
+    return new Response(result.status === 204 ? null : result.body, {
+      status: result.status,
+      headers: result.headers,
+    });
+  };
+
+  // Node (req, res) handler; also works as Express middleware
+  const requestListener = (req, res) => {
+    const send = (result) => {
+      res.writeHead(result.status, result.headers);
+      res.end(result.status === 204 ? undefined : result.body);
+    };
+    const dispatch = (body) => {
+      const url = new URL(req.url, "http://mock");
+      handle({
+        method: req.method,
+        path: url.pathname,
+        query: url.searchParams,
+        headers: req.headers,
+        body,
+      }).then(send, () => res.destroy());
+    };
+    // Express may have parsed the body already
+    if (req.body !== undefined) return dispatch(req.body);
+    let text = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      text += chunk;
+    });
+    req.on("end", () => dispatch(parseBody(text)));
+  };
+
+  const listen = (port = 0, host = "127.0.0.1") =>
+    new Promise((resolve) => {
+      const server = http.createServer(requestListener);
+      server.listen(port, host, () =>
+        resolve({
+          server,
+          url: `http://${host}:${server.address().port}`,
+          close: () => new Promise((done) => server.close(done)),
+        })
+      );
+    });
+
+  return {
+    fetch,
+    handle,
+    requestListener,
+    listen,
+    inject,
+    addFault,
+    clearFaults,
+    reset,
+    getRequests: () => [...requests],
+  };
+};
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  const port = Number(process.argv[2]) || 4555;
+  createMockMailTm()
+    .listen(port)
+    .then(({ url }) => logger.info("[mail.tm Mock] Listening", { url }));
+}
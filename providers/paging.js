@@ -0,0 +1,30 @@
+// Shared filters for paging through messages sorted newest first.
+// A cursor ("before") is the { receivedAt, id } of the last message a client has.
+const toTime = (value) => new Date(value).getTime() || 0;
+
+export const isNewerThan = (receivedAt, since) =>
+  !since || toTime(receivedAt) > toTime(since);
+
+export const isBeforeCursor = (message, before) => {
+  if (!before) return true;
+  const time = toTime(message.receivedAt);
+  const cursorTime = toTime(before.receivedAt);
+  if (time !== cursorTime) return time < cursorTime;
+  return String(message.id) < String(before.id);
+};
+
+// Page over an in-memory, newest-first list
+export const selectMessages = (
+  messages,
+  { limit = 25, since, before } = {}
+) => {
+  const matching = messages.filter(
+    (message) =>
+      isNewerThan(message.receivedAt, since) && isBeforeCursor(message, before)
+  );
+  return {
+    messages: matching.slice(0, limit),
+    hasMore: matching.length > limit,
+    total: messages.length,
+  };
+};
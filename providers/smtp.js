@@ -0,0 +1,330 @@
+import crypto from "crypto";
+import { SMTPServer } from "smtp-server";
+import { simpleParser } from "mailparser";
+import { Readable } from "stream";
+import { v4 as uuid } from "uuid";
+import dayjs from "dayjs";
+import {
+  addressTakenError,
+  generateIdentifier,
+  generateLocalPart,
+  generatePassword,
+} from "./identifiers.js";
+import { selectMessages } from "./paging.js";
+import { createDomainHealth } from "./domainHealth.js";
+import { createMemoryStore } from "../store.js";
+import { logger } from "../logger.js";
+
+// Built-in SMTP receiver for self-hosted disposable domains; no upstream
+// service is involved. Accounts (with their message list) and message content
+// (RFC 822 source and attachments) are kept in two record stores, the same
+// backend as the mailbox records, so they survive restarts and are shared
+// between instances whenever the mailboxes are.
+const MAX_MESSAGES_PER_MAILBOX = 50;
+const LOCAL_TOKEN_TTL_HOURS = 24;
+
+const buildIntro = (text = "") =>
+  text.replace(/\s+/g, " ").trim().slice(0, 120);
+
+const normalizeParsedMessage = (parsed) => {
+  const sender = parsed.from?.value?.[0];
+  const text = parsed.text || "";
+  return {
+    id: uuid(),
+    from: sender?.address || sender?.name || "unknown",
+    subject: parsed.subject || "(no subject)",
+    body: text,
+    html: typeof parsed.html === "string" ? parsed.html : "",
+    intro: buildIntro(text),
+    seen: false,
+    receivedAt: dayjs().toISOString(),
+    attachments: (parsed.attachments || []).map((attachment, index) => ({
+      id: `ATTACH${String(index + 1).padStart(6, "0")}`,
+      filename: attachment.filename || `attachment-${index + 1}`,
+      contentType: attachment.contentType || "application/octet-stream",
+      size: attachment.size || attachment.content?.length || 0,
+    })),
+  };
+};
+
+// Records are stored under a hash of the address, which is a valid store id
+const accountRecordId = (address) =>
+  crypto
+    .createHash("sha256")
+    .update((address || "").toLowerCase())
+    .digest("hex");
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+};
+
+export const createSmtpProvider = ({
+  name = "smtp",
+  domains = [],
+  maxMessageBytes = 10 * 1024 * 1024,
+  // { address, accountId, password, messages } per account
+  accountStore = createMemoryStore(),
+  // { messageId, raw, attachments: { attachmentId: base64 } } per message
+  contentStore = createMemoryStore(),
+} = {}) => {
+  const ownDomains = domains.map((domain) => domain.toLowerCase());
+
+  const domainHealth = createDomainHealth();
+
+  const handlesDomain = (domain) =>
+    !!domain && ownDomains.includes(domain.toLowerCase());
+
+  const getAccount = (address) => accountStore.get(accountRecordId(address));
+
+  const saveAccount = (account) =>
+    accountStore.set(accountRecordId(account.address), account);
+
+  const dropContent = (messages) =>
+    Promise.all(messages.map((message) => contentStore.delete(message.id)));
+
+  const provision = async (preferredDomain, { localPart, prefix } = {}) => {
+    if (!ownDomains.length) {
+      throw new Error("No SMTP domains configured");
+    }
+    if (preferredDomain && !handlesDomain(preferredDomain)) {
+      const error = new Error(
+        `Requested domain "${preferredDomain}" is not available. Try one of: ${ownDomains.join(
+          ", "
+        )}`
+      );
+      error.status = 422;
+      error.availableDomains = ownDomains;
+      throw error;
+    }
+    const domain =
+      preferredDomain?.toLowerCase() ||
+      ownDomains[Math.floor(Math.random() * ownDomains.length)];
+
+    if (localPart && (await getAccount(`${localPart}@${domain}`))) {
+      throw addressTakenError(localPart, domain);
+    }
+    let address = `${generateLocalPart({ localPart, prefix })}@${domain}`;
+    while (await getAccount(address)) {
+      address = `${generateLocalPart({ prefix })}@${domain}`;
+    }
+    const password = generatePassword();
+    await saveAccount({
+      address,
+      accountId: uuid(),
+      password,
+      messages: [],
+    });
+    domainHealth.recordSuccess(domain);
+    const auth = await authenticate(address, password);
+    return { address, domain, password, ...auth };
+  };
+
+  const authenticate = async (address, password) => {
+    const account = await getAccount(address);
+    if (!account || account.password !== password) {
+      const error = new Error("Invalid mailbox credentials");
+      error.status = 401;
+      throw error;
+    }
+    return {
+      accountId: account.accountId,
+      token: generateIdentifier(32),
+      refreshToken: null,
+      tokenExpiresAt: dayjs().add(LOCAL_TOKEN_TTL_HOURS, "hour").toISOString(),
+    };
+  };
+
+  const listMessages = async (mailbox, options = {}) =>
+    selectMessages(
+      (await getAccount(mailbox.address))?.messages || [],
+      options
+    );
+
+  const getMessage = async (mailbox, messageId) => {
+    const message = (await getAccount(mailbox.address))?.messages.find(
+      (item) => item.id === messageId
+    );
+    if (!message) {
+      throw notFound("Message not found");
+    }
+    return message;
+  };
+
+  const markMessageSeen = async (mailbox, messageId, seen) => {
+    const account = await getAccount(mailbox.address);
+    const message = account?.messages.find((item) => item.id === messageId);
+    if (!message) {
+      throw notFound("Message not found");
+    }
+    message.seen = seen;
+    await saveAccount(account);
+    return message;
+  };
+
+  const deleteMessage = async (mailbox, messageId) => {
+    const account = await getAccount(mailbox.address);
+    const index = account?.messages.findIndex((item) => item.id === messageId);
+    if (index === undefined || index < 0) {
+      throw notFound("Message not found");
+    }
+    const removed = account.messages.splice(index, 1);
+    await saveAccount(account);
+    await dropContent(removed);
+  };
+
+  const getAttachment = async (mailbox, messageId, attachmentId) => {
+    const message = await getMessage(mailbox, messageId);
+    const attachment = message.attachments.find(
+      (item) => item.id === attachmentId
+    );
+    const encoded = (await contentStore.get(messageId))?.attachments?.[
+      attachmentId
+    ];
+    if (!attachment || !encoded) {
+      throw notFound("Attachment not found");
+    }
+    const content = Buffer.from(encoded, "base64");
+    return {
+      ...attachment,
+      size: content.length,
+      stream: Readable.from([content]),
+    };
+  };
+
+  const getRawMessage = async (mailbox, messageId) => {
+    await getMessage(mailbox, messageId);
+    const encoded = (await contentStore.get(messageId))?.raw;
+    if (!encoded) {
+      throw notFound("Message source not found");
+    }
+    const content = Buffer.from(encoded, "base64");
+    return { size: content.length, stream: Readable.from([content]) };
+  };
+
+  const deleteAccount = async (mailbox) => {
+    const account = await getAccount(mailbox.address);
+    if (!account) return;
+    await accountStore.delete(accountRecordId(mailbox.address));
+    await dropContent(account.messages);
+  };
+
+  const deliver = async (
+    address,
+    message,
+    attachmentContents = [],
+    raw = null
+  ) => {
+    const account = await getAccount(address);
+    if (!account) return false;
+    await contentStore.set(message.id, {
+      messageId: message.id,
+      raw: raw ? raw.toString("base64") : null,
+      attachments: Object.fromEntries(
+        message.attachments.map((attachment, index) => [
+          attachment.id,
+          attachmentContents[index]?.toString("base64") || null,
+        ])
+      ),
+    });
+    account.messages.unshift(message);
+    // Drop the oldest messages (and their stored content) past the cap
+    const dropped = account.messages.splice(MAX_MESSAGES_PER_MAILBOX);
+    await saveAccount(account);
+    await dropContent(dropped);
+    return true;
+  };
+
+  const listen = ({ port = 2525, host = "0.0.0.0", tls = null } = {}) => {
+    const server = new SMTPServer({
+      name: ownDomains[0] || "localhost",
+      banner: "Temp Mail SMTP receiver",
+      authOptional: true,
+      // Only offer STARTTLS when a real certificate is configured
+      disabledCommands: tls ? ["AUTH"] : ["AUTH", "STARTTLS"],
+      ...(tls || {}),
+      size: maxMessageBytes,
+      onRcptTo(recipient, _session, callback) {
+        getAccount(recipient.address)
+          .then((account) => {
+            if (!account) {
+              const error = new Error("Mailbox unavailable");
+              error.responseCode = 550;
+              return callback(error);
+            }
+            callback();
+          })
+          .catch(callback);
+      },
+      onData(stream, session, callback) {
+        // Keep the source for /raw and /headers; size is capped by the server
+        const chunks = [];
+        stream.on("data", (chunk) => chunks.push(chunk));
+        simpleParser(stream)
+          .then(async (parsed) => {
+            if (stream.sizeExceeded) {
+              const error = new Error("Message exceeds fixed maximum size");
+              error.responseCode = 552;
+              return callback(error);
+            }
+            const message = normalizeParsedMessage(parsed);
+            const raw = Buffer.concat(chunks);
+            for (const recipient of session.envelope.rcptTo) {
+              // Each recipient gets its own copy so ids stay unique per mailbox
+              await deliver(
+                recipient.address,
+                { ...message, id: uuid() },
+                (parsed.attachments || []).map(
+                  (attachment) => attachment.content
+                ),
+                raw
+              );
+            }
+            logger.info("[SMTP Received]", {
+              recipients: session.envelope.rcptTo.length,
+              from: message.from,
+            });
+            callback();
+          })
+          .catch((error) => {
+            logger.error("[SMTP Parse Error]", { message: error.message });
+            callback(error);
+          });
+      },
+    });
+    server.on("error", (error) => {
+      logger.error("[SMTP Error]", { message: error.message });
+    });
+    server.listen(port, host, () => {
+      logger.info("SMTP receiver listening", {
+        host,
+        port,
+        domains: ownDomains,
+      });
+    });
+    return server;
+  };
+
+  return {
+    name,
+    handlesDomain,
+    provision,
+    authenticate,
+    listMessages,
+    getMessage,
+    getAttachment,
+    getRawMessage,
+    markMessageSeen,
+    deleteMessage,
+    deleteAccount,
+    listDomains: async () => [...ownDomains],
+    describeDomains: async () =>
+      ownDomains.map((domain) => ({
+        domain,
+        preferred: false,
+        health: domainHealth.describe(domain),
+      })),
+    listen,
+  };
+};
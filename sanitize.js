@@ -0,0 +1,139 @@
+import sanitizeHtml from "sanitize-html";
+
+// Allowlist sanitizer for message HTML. Anything not listed here (scripts,
+// iframes, forms, SVG, event handlers, javascript: URLs, ...) is dropped.
+// Remote images are removed unless remote content was requested, in which
+// case rewriteImageUrl may route them through the image proxy (an image it
+// returns null for is dropped).
+const ALLOWED_TAGS = [
+  ...sanitizeHtml.defaults.allowedTags.filter((tag) => tag !== "data"),
+  "img",
+  "font",
+  "center",
+];
+
+const SIZE_ATTRIBUTES = ["width", "height", "align", "valign"];
+
+const ALLOWED_ATTRIBUTES = {
+  a: ["href", "title", "name", "target", "rel"],
+  img: ["src", "alt", "title", "width", "height"],
+  font: ["color", "size", "face"],
+  table: [
+    ...SIZE_ATTRIBUTES,
+    "border",
+    "cellpadding",
+    "cellspacing",
+    "bgcolor",
+  ],
+  td: [...SIZE_ATTRIBUTES, "colspan", "rowspan", "bgcolor"],
+  th: [...SIZE_ATTRIBUTES, "colspan", "rowspan", "bgcolor"],
+  tr: [...SIZE_ATTRIBUTES, "bgcolor"],
+  col: ["span", "width"],
+  colgroup: ["span", "width"],
+  "*": ["style", "dir", "lang", "align"],
+};
+
+// Layout and typography only; url(), expressions and positioning never pass
+const SAFE_CSS_VALUE = /^(?!.*(url|expression)\s*\()[#\w\s.,%()'"-]+$/i;
+const ALLOWED_STYLES = {
+  "*": Object.fromEntries(
+    [
+      "color",
+      "background-color",
+      "font-family",
+      "font-size",
+      "font-style",
+      "font-weight",
+      "line-height",
+      "letter-spacing",
+      "text-align",
+      "text-decoration",
+      "text-transform",
+      "vertical-align",
+      "white-space",
+      "width",
+      "max-width",
+      "height",
+      "margin",
+      "margin-top",
+      "margin-right",
+      "margin-bottom",
+      "margin-left",
+      "padding",
+      "padding-top",
+      "padding-right",
+      "padding-bottom",
+      "padding-left",
+      "border",
+      "border-top",
+      "border-right",
+      "border-bottom",
+      "border-left",
+      "border-collapse",
+      "border-radius",
+      "display",
+    ].map((property) => [property, [SAFE_CSS_VALUE]])
+  ),
+};
+
+const INLINE_IMAGE = /^data:image\/(png|jpe?g|gif|webp);base64,/i;
+const REMOTE_URL = /^https?:\/\//i;
+
+// 1x1 images and the usual open-tracking endpoints
+const TRACKER_URL =
+  /(^|[/._-])(pixel|beacon|track(ing)?|open|wf\/open|o\.gif|e\.gif)([/._?-]|$)/i;
+
+export const isTrackingPixel = ({ src = "", width, height }) => {
+  const tiny = (value) =>
+    value !== undefined && Number.parseInt(value, 10) <= 2;
+  return (tiny(width) && tiny(height)) || TRACKER_URL.test(src);
+};
+
+export const sanitizeMessageHtml = (
+  html,
+  { loadRemoteContent = false, blockTrackers = true, rewriteImageUrl } = {}
+) => {
+  if (!html) return "";
+  return sanitizeHtml(html, {
+    allowedTags: ALLOWED_TAGS,
+    allowedAttributes: ALLOWED_ATTRIBUTES,
+    allowedStyles: ALLOWED_STYLES,
+    allowedSchemes: ["http", "https", "mailto"],
+    allowedSchemesByTag: { img: ["http", "https", "data", "cid"] },
+    allowProtocolRelative: false,
+    disallowedTagsMode: "discard",
+    // Contents of these are dropped along with the tag
+    nonTextTags: ["script", "style", "textarea", "option", "noscript", "title"],
+    transformTags: {
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: {
+          ...attribs,
+          target: "_blank",
+          rel: "noopener noreferrer nofollow",
+        },
+      }),
+      img: (tagName, attribs) => {
+        const src = (attribs.src || "").trim();
+        const remote = REMOTE_URL.test(src);
+        const keep =
+          INLINE_IMAGE.test(src) ||
+          (remote &&
+            loadRemoteContent &&
+            !(blockTrackers && isTrackingPixel({ ...attribs, src })));
+        if (!keep) {
+          // An image without src is dropped by exclusiveFilter below
+          return { tagName, attribs: {} };
+        }
+        return {
+          tagName,
+          attribs: {
+            ...attribs,
+            src: remote && rewriteImageUrl ? rewriteImageUrl(src) : src,
+          },
+        };
+      },
+    },
+    exclusiveFilter: (frame) => frame.tag === "img" && !frame.attribs.src,
+  });
+};
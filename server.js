@@ -1,4 +1,5 @@
 import express from "express";
+import crypto from "crypto";
 import cors from "cors";
 import compression from "compression";
 import helmet from "helmet";
@@ -8,6 +9,51 @@ import dayjs from "dayjs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { existsSync } from "fs";
+import { Transform, pipeline } from "stream";
+import {
+  authenticateMailbox,
+  describeDomains,
+  getDomainScores,
+  getMockServer,
+  getProvider,
+  provisionMailbox,
+  startSmtpReceiver,
+} from "./providers/index.js";
+import {
+  validateLocalPart,
+  validateLocalPartPrefix,
+} from "./providers/identifiers.js";
+import { parseMessageHeaders } from "./providers/headers.js";
+import { createMailboxStore } from "./store.js";
+import { createApiKeyManager } from "./apikeys.js";
+import {
+  buildUserResponse,
+  createUserAccounts,
+  isSessionToken,
+} from "./users.js";
+import { createInboxWatcher } from "./watcher.js";
+import { createCleanupQueue } from "./cleanup.js";
+import { extractFromMessage } from "./extract.js";
+import { compilePattern } from "./pattern.js";
+import { sanitizeMessageHtml } from "./sanitize.js";
+import { createImageProxy } from "./imageproxy.js";
+import { metrics, registry } from "./metrics.js";
+import { logger, runWithContext } from "./logger.js";
+import { createOpenApiDocument, listOperations } from "./openapi.js";
+import { createRequestValidator } from "./validation.js";
+import {
+  buildTokenResponse,
+  extractAccessToken,
+  issueAccessToken,
+  issueRecoverySecret,
+  verifyAccessToken,
+  verifyRecoverySecret,
+} from "./tokens.js";
+import {
+  createWebhookDispatcher,
+  generateWebhookSecret,
+  validateWebhookUrl,
+} from "./webhooks.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,665 +64,108 @@ const app = express();
 const isProduction = process.env.NODE_ENV === "production";
 const isVercel = process.env.VERCEL === "1";
 const PORT = process.env.PORT || 3000;
-const MAIL_TM_BASE_URL = process.env.MAIL_TM_BASE_URL || "https://api.mail.tm";
 const CORS_ORIGIN = process.env.CORS_ORIGIN || "*";
 
 // Application constants
-const MAILBOX_TTL_MINUTES = 15;
-const CLEANUP_INTERVAL_MS = 60 * 1000;
-const MAILBOX_LOCAL_PART_LENGTH = 10;
-const PASSWORD_LENGTH = 24;
-const DOMAIN_CACHE_TTL_MS = 10 * 60 * 1000;
-
-let domainRotationIndex = 0;
-const DEFAULT_PREFERRED_DOMAINS = [
-  "comfythings.com",
-  "elyxstore.com",
-  "ketoblisslabs.com",
-  "ekii.de",
-  "asia-mail.com",
-  "doer.sbs",
-  "badfist.com",
-  "besenica.com",
-  "mail.tm",
-];
-
-const alphabet = "abcdefghijklmnopqrstuvwxyz0123456789";
-const letters = "abcdefghijklmnopqrstuvwxyz";
-
-const generateIdentifier = (length) => {
-  let output = "";
-  for (let i = 0; i < length; i += 1) {
-    output += alphabet[Math.floor(Math.random() * alphabet.length)];
-  }
-  return output;
-};
-
-const generateLocalPart = () => {
-  // First character must be a letter, rest can be letters or numbers
-  const firstChar = letters[Math.floor(Math.random() * letters.length)];
-  let rest = "";
-  for (let i = 0; i < MAILBOX_LOCAL_PART_LENGTH - 1; i += 1) {
-    rest += alphabet[Math.floor(Math.random() * alphabet.length)];
-  }
-  return firstChar + rest;
-};
-const generatePassword = () => generateIdentifier(PASSWORD_LENGTH);
-
-let cachedDomains = { expiresAt: 0, items: [] };
-
-const mailboxes = new Map(); // mailboxId -> { address, domain, createdAt, expiresAt, token, tokenExpiresAt, password, accountId, lastMessageCount }
-
-const mailTmRequest = async (
-  pathFragment,
-  { method = "GET", headers = {}, body, retries = 0, maxRetries = 3 } = {}
-) => {
-  // Create timeout controller
-  const controller = new AbortController();
-  // Longer timeout for Vercel serverless functions (60 seconds max)
-  const timeoutMs = process.env.VERCEL ? 55000 : 30000; // 55s on Vercel (below 60s limit), 30s locally
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    const response = await fetch(`${MAIL_TM_BASE_URL}${pathFragment}`, {
-      method,
-      headers: {
-        Accept: "application/ld+json",
-        ...(body ? { "Content-Type": "application/json" } : {}),
-        ...headers,
-      },
-      body,
-      signal: controller.signal,
-    });
-
-    clearTimeout(timeoutId); // Clear timeout on successful response
-
-    const text = await response.text();
-    let data;
-    try {
-      data = text ? JSON.parse(text) : null;
-    } catch {
-      data = null;
-    }
-
-    if (!response.ok) {
-      // Retry on 500 errors with exponential backoff
-      if (response.status >= 500 && retries < maxRetries) {
-        const delay = Math.min(1000 * Math.pow(2, retries), 5000); // Exponential backoff, max 5s
-        console.log(
-          `[mail.tm Retry] ${pathFragment} - Status ${
-            response.status
-          }, retrying in ${delay}ms (attempt ${retries + 1}/${maxRetries})`
-        );
-        await new Promise((resolve) => setTimeout(resolve, delay));
-        return mailTmRequest(pathFragment, {
-          method,
-          headers,
-          body,
-          retries: retries + 1,
-          maxRetries,
-        });
-      }
-
-      // Handle cases where mail.tm returns an HTML "NOT_FOUND" page instead of JSON
-      let messageFromRemote =
-        data?.detail ||
-        data?.message ||
-        `mail.tm request failed (${response.status})`;
-
-      const lowerText = (text || "").toLowerCase();
-
-      // Handle structured text errors with Code and ID fields
-      if (text && !data) {
-        // Check for structured error format like "404: NOT_FOUND\n\nCode: NOT_FOUND\n\nID: ..."
-        const codeMatch = text.match(/Code:\s*(\w+)/i);
-        const notFoundMatch = text.match(/NOT_FOUND/i);
-
-        if (codeMatch || notFoundMatch || lowerText.includes("not_found")) {
-          messageFromRemote =
-            "Mailbox provider is temporarily unavailable. Please try again in a few seconds.";
-        } else if (response.status === 404) {
-          messageFromRemote = "Requested resource not found. Please try again.";
-        } else if (response.status >= 500) {
-          messageFromRemote =
-            "Mailbox provider service error. Please try again in a few moments.";
-        }
-      } else if (
-        lowerText.includes("not_found") ||
-        lowerText.includes("the page could not be found") ||
-        data?.code === "NOT_FOUND"
-      ) {
-        // Normalize the message so frontend doesn't see raw HTML / opaque IDs
-        messageFromRemote =
-          "Mailbox provider is temporarily unavailable. Please try again in a few seconds.";
-      } else if (response.status >= 500) {
-        messageFromRemote =
-          "Mailbox provider service error. Please try again in a few moments.";
-      }
-
-      // Log error details for debugging (server-side only)
-      console.error(`[mail.tm Error] ${pathFragment}`, {
-        status: response.status,
-        message: messageFromRemote,
-        hasData: !!data,
-        textSnippet: text ? text.slice(0, 100) : null,
-        retries,
-      });
-
-      const error = new Error(messageFromRemote);
-      error.status = response.status;
-      error.data = data;
-      // Preserve a small snippet of the raw body for server-side debugging
-      if (!data && text) {
-        error.rawBodySnippet = text.slice(0, 200);
-      }
-      throw error;
-    }
-
-    return data;
-  } catch (error) {
-    clearTimeout(timeoutId); // Clean up timeout
-    // Handle timeout and network errors with retry
-    if (
-      (error.name === "AbortError" ||
-        error.name === "TimeoutError" ||
-        error.name === "TypeError") &&
-      retries < maxRetries
-    ) {
-      const delay = Math.min(1000 * Math.pow(2, retries), 5000);
-      console.log(
-        `[mail.tm Retry] ${pathFragment} - Network/timeout error, retrying in ${delay}ms (attempt ${
-          retries + 1
-        }/${maxRetries})`
-      );
-      await new Promise((resolve) => setTimeout(resolve, delay));
-      return mailTmRequest(pathFragment, {
-        method,
-        headers,
-        body,
-        retries: retries + 1,
-        maxRetries,
-      });
-    }
-    throw error;
-  } finally {
-    clearTimeout(timeoutId); // Ensure cleanup happens
-  }
-};
-
-const getAvailableDomains = async () => {
-  const now = Date.now();
-  if (cachedDomains.items.length && cachedDomains.expiresAt > now) {
-    return cachedDomains.items;
-  }
-  try {
-    // Use more retries for domain fetching as it's critical
-    const payload = await mailTmRequest("/domains", { maxRetries: 5 });
-    const domains = payload?.["hydra:member"] || [];
-    cachedDomains = {
-      items: domains,
-      expiresAt: now + DOMAIN_CACHE_TTL_MS,
-    };
-    if (domains.length > 0) {
-      console.log(
-        `[Domain Cache] Fetched ${domains.length} domains from mail.tm API`
-      );
-    }
-    return domains;
-  } catch (error) {
-    // If domain fetch fails but we have cached domains, use those
-    if (cachedDomains.items.length > 0) {
-      console.warn(
-        `[Domain Fetch Error] Using cached domains. Error: ${error.message}`
-      );
-      // Extend cache expiration slightly to avoid repeated failures
-      cachedDomains.expiresAt = now + 5 * 60 * 1000; // 5 minutes
-      return cachedDomains.items;
-    }
-    // If no cached domains and fetch fails, log warning but return empty array
-    // This allows fallback to DEFAULT_PREFERRED_DOMAINS
-    console.warn(
-      `[Domain Fetch Error] No cached domains available. API error: ${error.message}. Will attempt to use default domains.`
-    );
-    return []; // Return empty array to allow fallback logic
-  }
-};
-
-const normalizeDomainEntry = (entry) => {
-  if (!entry) return null;
-  if (typeof entry === "string") return entry;
-  return entry.domain || entry.name || entry.address || null;
-};
-
-const listDomainStrings = (entries) =>
-  entries
-    .map((entry) => normalizeDomainEntry(entry))
-    .filter((domain) => typeof domain === "string");
-
-const pickMailTmDomain = async (preferredDomain) => {
-  const domains = await getAvailableDomains();
-  let domainStrings = listDomainStrings(domains);
-
-  // Fallback to default preferred domains if API is unavailable
-  if (!domainStrings.length) {
-    console.warn(
-      `[Domain Fallback] No domains from API, using default preferred domains for selection.`
-    );
-    domainStrings = [...DEFAULT_PREFERRED_DOMAINS];
-  }
-
-  if (!domainStrings.length) {
-    throw new Error("No disposable domains available");
-  }
-
-  if (preferredDomain) {
-    const normalizedPreferred = preferredDomain.toLowerCase();
-    const match = domainStrings.find(
-      (domain) => domain.toLowerCase() === normalizedPreferred
-    );
-    if (!match) {
-      const error = new Error(
-        `Requested domain "${preferredDomain}" is not available. Try one of: ${domainStrings.join(
-          ", "
-        )}`
-      );
-      error.status = 422;
-      error.availableDomains = domainStrings;
-      throw error;
-    }
-    return match;
-  }
-
-  // Find all available preferred domains
-  const availablePreferred = domainStrings.filter((domain) =>
-    DEFAULT_PREFERRED_DOMAINS.includes(domain.toLowerCase())
-  );
-
-  if (availablePreferred.length > 0) {
-    // Use round-robin rotation to ensure different domains are used
-    const selectedDomain =
-      availablePreferred[domainRotationIndex % availablePreferred.length];
-    domainRotationIndex = (domainRotationIndex + 1) % availablePreferred.length;
-    return selectedDomain;
-  }
-
-  // If no preferred domains, rotate through all available domains
-  const selectedDomain =
-    domainStrings[domainRotationIndex % domainStrings.length];
-  domainRotationIndex = (domainRotationIndex + 1) % domainStrings.length;
-  return selectedDomain;
-};
-
-// Get all available preferred domains for rotation
-const getAvailablePreferredDomains = async () => {
-  const domains = await getAvailableDomains();
-  const domainStrings = listDomainStrings(domains);
-
-  // If no domains from API, fall back to default preferred domains
-  if (domainStrings.length === 0) {
-    console.warn(
-      `[Domain Fallback] No domains from API, using default preferred domains list.`
-    );
-    return [...DEFAULT_PREFERRED_DOMAINS]; // Return a copy of default domains
-  }
-
-  const preferred = domainStrings.filter((domain) =>
-    DEFAULT_PREFERRED_DOMAINS.includes(domain.toLowerCase())
-  );
-
-  // If no preferred domains found in API response, use default list as fallback
-  if (preferred.length === 0) {
-    console.warn(
-      `[Domain Fallback] No preferred domains found in API response, using default list.`
-    );
-    return [...DEFAULT_PREFERRED_DOMAINS]; // Return a copy of default domains
-  }
-
-  // Sort consistently to maintain order
-  return preferred.sort((a, b) =>
-    a.toLowerCase().localeCompare(b.toLowerCase())
-  );
-};
-
-const authenticateMailTm = async (address, password) => {
-  const body = JSON.stringify({ address, password });
-  const data = await mailTmRequest("/token", { method: "POST", body });
-  const expiresIn = Number(data?.expires_in) || 3600;
-  return {
-    token: data?.token,
-    refreshToken: data?.refresh_token || null,
-    tokenExpiresAt: dayjs().add(expiresIn, "second").toISOString(),
-  };
+// Mailbox lifetime policy: the TTL picked at creation (within bounds) is also
+// what each extension adds, up to a hard cap on the mailbox's total lifetime
+const MAILBOX_TTL_MINUTES = Number(process.env.MAILBOX_TTL_MINUTES) || 15;
+const MAILBOX_MIN_TTL_MINUTES =
+  Number(process.env.MAILBOX_MIN_TTL_MINUTES) || 5;
+const MAILBOX_MAX_TTL_MINUTES =
+  Number(process.env.MAILBOX_MAX_TTL_MINUTES) || 60;
+const MAILBOX_MAX_LIFETIME_MINUTES =
+  Number(process.env.MAILBOX_MAX_LIFETIME_MINUTES) || 24 * 60;
+// 0 is a meaningful value for these two, so `|| default` will not do
+const readNumberEnv = (name, fallback) => {
+  const value = process.env[name];
+  return value !== undefined && value !== "" && Number.isFinite(Number(value))
+    ? Number(value)
+    : fallback;
 };
+const MAILBOX_MAX_EXTENSIONS = readNumberEnv("MAILBOX_MAX_EXTENSIONS", 5);
+const MAILBOX_EXTENSION_COOLDOWN_SECONDS = readNumberEnv(
+  "MAILBOX_EXTENSION_COOLDOWN_SECONDS",
+  60
+);
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+// Expired mailboxes stay restorable this long before their upstream account
+// is deleted; explicitly deleted mailboxes are removed right away
+const MAILBOX_RESTORE_GRACE_MINUTES = readNumberEnv(
+  "MAILBOX_RESTORE_GRACE_MINUTES",
+  24 * 60
+);
+const DEFAULT_MESSAGE_PAGE_SIZE = 25;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+const INBOX_POLL_INTERVAL_MS =
+  Number(process.env.INBOX_POLL_INTERVAL_MS) || 5000;
+const SSE_HEARTBEAT_MS = 25 * 1000;
+// Close streams before Vercel's maxDuration (60s); EventSource reconnects on its own
+const SSE_MAX_DURATION_MS = isVercel ? 50 * 1000 : 0;
+// Long-poll /messages/wait; on Vercel the request must finish inside maxDuration
+const WAIT_DEFAULT_TIMEOUT_MS = 30 * 1000;
+const WAIT_MAX_TIMEOUT_MS = isVercel ? 50 * 1000 : 5 * 60 * 1000;
+const WAIT_MAX_PATTERN_LENGTH = 200;
+const USER_SESSION_TTL_DAYS = Number(process.env.USER_SESSION_TTL_DAYS) || 30;
+const ATTACHMENT_MAX_BYTES =
+  Number(process.env.ATTACHMENT_MAX_BYTES) || 25 * 1024 * 1024;
+const CLEANUP_MAX_ATTEMPTS = Number(process.env.CLEANUP_MAX_ATTEMPTS) || 6;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_ALLOW_PRIVATE_URLS =
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+// /api/metrics is disabled unless a token is configured
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const IMAGE_PROXY_ENABLED = process.env.IMAGE_PROXY_ENABLED !== "false";
+const IMAGE_PROXY_MAX_BYTES =
+  Number(process.env.IMAGE_PROXY_MAX_BYTES) || 5 * 1024 * 1024;
+// Rendered API reference at /api/docs; /api/openapi.json is always served
+const API_DOCS_ENABLED = process.env.API_DOCS_ENABLED === "true";
+// An exact Redoc release, checked by hash: the hash is of the file in the npm
+// package, which jsDelivr serves byte for byte. Update both together.
+const REDOC_BUNDLE_URL =
+  "https://cdn.jsdelivr.net/npm/redoc@2.5.4/bundles/redoc.standalone.js";
+const REDOC_BUNDLE_INTEGRITY =
+  "sha384-w447zOpYfw/1Tv/5AK9NfHTlQIqE3RVR6KY62jCyy9zNDgO64cMwGGP1Fj0zJVf5";
+
+// Requests are validated against this before any route handler runs
+const openApiDocument = createOpenApiDocument({
+  ttlMinutes: {
+    min: MAILBOX_MIN_TTL_MINUTES,
+    max: MAILBOX_MAX_TTL_MINUTES,
+    default: MAILBOX_TTL_MINUTES,
+  },
+  maxMessagePageSize: MAX_MESSAGE_PAGE_SIZE,
+  maxWaitPatternLength: WAIT_MAX_PATTERN_LENGTH,
+});
 
-const ensureMailTmToken = async (mailbox) => {
-  if (mailbox.token && dayjs().isBefore(mailbox.tokenExpiresAt)) {
-    return mailbox.token;
-  }
-  const auth = await authenticateMailTm(mailbox.address, mailbox.password);
-  mailbox.token = auth.token;
-  mailbox.refreshToken = auth.refreshToken;
-  mailbox.tokenExpiresAt = auth.tokenExpiresAt;
-  return mailbox.token;
-};
+// mailboxId -> { address, domain, provider, createdAt, expiresAt, token, tokenExpiresAt, password, recoverySecretHash, accountId, lastMessageCount }
+const mailboxes = createMailboxStore();
+const cleanupQueue = createCleanupQueue({
+  store: createMailboxStore("cleanup"),
+  getProvider,
+  maxAttempts: CLEANUP_MAX_ATTEMPTS,
+});
 
-const fetchMailboxMessages = async (mailbox) => {
-  const token = await ensureMailTmToken(mailbox);
-  const list = await mailTmRequest("/messages?limit=25&sort=-createdAt", {
-    headers: { Authorization: `Bearer ${token}` },
-  });
-  const members = list?.["hydra:member"] || [];
-  if (!members.length) {
-    mailbox.lastMessageCount = 0;
-    return [];
-  }
-  // Fetch detailed messages, handling individual message errors gracefully
-  const detailed = await Promise.allSettled(
-    members.map((item) =>
-      mailTmRequest(`/messages/${item.id}`, {
-        headers: { Authorization: `Bearer ${token}` },
+// Request IDs: taken from X-Request-Id when it looks sane, else generated.
+// Every log line written while handling the request carries it.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuid();
+  res.set("X-Request-Id", req.id);
+  const startedAt = Date.now();
+  res.on("finish", () =>
+    runWithContext({ requestId: req.id }, () =>
+      logger.info("[Request]", {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
       })
     )
   );
-  // Filter out failed requests and map successful ones
-  const successfulMessages = detailed
-    .filter((result) => result.status === "fulfilled")
-    .map((result) => result.value);
-
-  const normalized = successfulMessages.map((message) => ({
-    id: message.id,
-    from: message.from?.address || message.from?.name || "unknown",
-    subject: message.subject || "(no subject)",
-    body: message.text || message.intro || "",
-    html: Array.isArray(message.html)
-      ? message.html.join("")
-      : message.html || "",
-    intro: message.intro,
-    seen: message.seen,
-    receivedAt: message.createdAt,
-  }));
-  mailbox.lastMessageCount = normalized.length;
-  return normalized;
-};
-
-const provisionMailboxWithMailTm = async (preferredDomain) => {
-  // If specific domain requested, use it
-  if (preferredDomain) {
-    const domain = await pickMailTmDomain(preferredDomain);
-    for (let attempt = 0; attempt < 5; attempt += 1) {
-      const localPart = generateLocalPart();
-      const address = `${localPart}@${domain}`;
-      const password = generatePassword();
-      try {
-        const account = await mailTmRequest("/accounts", {
-          method: "POST",
-          body: JSON.stringify({ address, password }),
-        });
-        const auth = await authenticateMailTm(address, password);
-        const actualDomain = address.split("@")[1] || domain;
-        return {
-          accountId: account.id,
-          address,
-          domain: actualDomain,
-          password,
-          token: auth.token,
-          tokenExpiresAt: auth.tokenExpiresAt,
-          refreshToken: auth.refreshToken,
-        };
-      } catch (error) {
-        if ([400, 409, 422].includes(error.status)) {
-          continue;
-        }
-        throw error;
-      }
-    }
-    throw new Error("Unable to allocate mailbox at this time");
-  }
-
-  // Get available preferred domains
-  const availablePreferred = await getAvailablePreferredDomains();
-  const allDomains = await getAvailableDomains();
-  let allDomainStrings = listDomainStrings(allDomains);
-
-  // Fallback to default domains if API is completely unavailable
-  if (!allDomainStrings.length && availablePreferred.length > 0) {
-    console.warn(
-      `[Domain Fallback] Using preferred domains list as API is unavailable.`
-    );
-    allDomainStrings = [...DEFAULT_PREFERRED_DOMAINS];
-  }
-
-  // Get list of domains to try (preferred first)
-  let domainsToTry =
-    availablePreferred.length > 0 ? availablePreferred : allDomainStrings;
-
-  // Final fallback: if still no domains, use default list
-  if (!domainsToTry.length) {
-    console.warn(
-      `[Domain Fallback] All fallbacks failed, using default preferred domains list.`
-    );
-    domainsToTry = [...DEFAULT_PREFERRED_DOMAINS];
-  }
-
-  // Sort domains consistently to maintain order (alphabetically)
-  domainsToTry.sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
-
-  // Ensure comfythings.com is first in the list if available
-  const comfythingsIndex = domainsToTry.findIndex(
-    (d) => d.toLowerCase() === "comfythings.com"
-  );
-  if (comfythingsIndex >= 0) {
-    const comfythings = domainsToTry.splice(comfythingsIndex, 1)[0];
-    domainsToTry.unshift(comfythings);
-  }
-  const badfistIndex = domainsToTry.findIndex(
-    (d) => d.toLowerCase() === "badfist.com"
-  );
-  if (badfistIndex >= 0) {
-    const badfist = domainsToTry.splice(badfistIndex, 1)[0];
-    domainsToTry.unshift(badfist);
-  }
-
-  const besenicaIndex = domainsToTry.findIndex(
-    (d) => d.toLowerCase() === "besenica.com"
-  );
-  if (besenicaIndex >= 0) {
-    const besenica = domainsToTry.splice(besenicaIndex, 1)[0];
-    domainsToTry.unshift(besenica);
-  }
-
-  const asiamailIndex = domainsToTry.findIndex(
-    (d) => d.toLowerCase() === "asia-mail.com"
-  );
-  if (asiamailIndex >= 0) {
-    const asiamail = domainsToTry.splice(asiamailIndex, 1)[0];
-    domainsToTry.unshift(asiamail);
-  }
-
-  const doerIndex = domainsToTry.findIndex(
-    (d) => d.toLowerCase() === "doer.sbs"
-  );
-  if (doerIndex >= 0) {
-    const doer = domainsToTry.splice(doerIndex, 1)[0];
-    domainsToTry.unshift(doer);
-  }
-
-  const ekiiIndex = domainsToTry.findIndex(
-    (d) => d.toLowerCase() === "ekii.de"
-  );
-  if (ekiiIndex >= 0) {
-    const ekii = domainsToTry.splice(ekiiIndex, 1)[0];
-    domainsToTry.unshift(ekii);
-  }
-  const ketoblisslabsIndex = domainsToTry.findIndex(
-    (d) => d.toLowerCase() === "ketoblisslabs.com"
-  );
-  if (ketoblisslabsIndex >= 0) {
-    const ketoblisslabs = domainsToTry.splice(ketoblisslabsIndex, 1)[0];
-    domainsToTry.unshift(ketoblisslabs);
-  }
-  const elyxstoreIndex = domainsToTry.findIndex(
-    (d) => d.toLowerCase() === "elyxstore.com"
-  );
-  if (elyxstoreIndex >= 0) {
-    const elyxstore = domainsToTry.splice(elyxstoreIndex, 1)[0];
-    domainsToTry.unshift(elyxstore);
-  }
-  const mailtmIndex = domainsToTry.findIndex(
-    (d) => d.toLowerCase() === "mail.tm"
-  );
-  if (mailtmIndex >= 0) {
-    const mailtm = domainsToTry.splice(mailtmIndex, 1)[0];
-    domainsToTry.unshift(mailtm);
-  }
-
-  // Final safety check: if somehow we still have no domains, use defaults
-  if (domainsToTry.length === 0) {
-    console.error(
-      `[Domain Fallback] No domains available, using default list as last resort.`
-    );
-    domainsToTry = [...DEFAULT_PREFERRED_DOMAINS];
-    if (domainsToTry.length === 0) {
-      throw new Error("No domains available - configuration error");
-    }
-  }
-
-  // Try domains in rotation order, skipping rate-limited domains
-  const maxDomainsToTry = Math.min(domainsToTry.length, 15); // Try up to 15 different domains
-  let startIndex = domainRotationIndex % domainsToTry.length;
-  let rateLimitedDomains = 0;
-
-  // Log for debugging
-  console.log(
-    `[Domain Rotation] Starting at index: ${startIndex}, Total domains: ${domainsToTry.length}`
-  );
-
-  // Try multiple domains if rate limited
-  for (let domainOffset = 0; domainOffset < maxDomainsToTry; domainOffset++) {
-    const currentIndex = (startIndex + domainOffset) % domainsToTry.length;
-    const domain = domainsToTry[currentIndex];
-
-    console.log(
-      `[Domain Rotation] Trying domain ${
-        domainOffset + 1
-      }/${maxDomainsToTry}: ${domain}`
-    );
-
-    // Try this domain up to 2 times (reduced from 3 to fail faster and try next)
-    for (let attempt = 0; attempt < 2; attempt += 1) {
-      const localPart = generateLocalPart();
-      const address = `${localPart}@${domain}`;
-      const password = generatePassword();
-
-      try {
-        const account = await mailTmRequest("/accounts", {
-          method: "POST",
-          body: JSON.stringify({ address, password }),
-        });
-        const auth = await authenticateMailTm(address, password);
-        const actualDomain = address.split("@")[1] || domain;
-
-        // Increment rotation for next request (so next request gets next domain)
-        domainRotationIndex = (domainRotationIndex + 1) % domainsToTry.length;
-
-        console.log(
-          `[Domain Rotation] Success with domain: ${domain}, Next index: ${domainRotationIndex}`
-        );
-
-        return {
-          accountId: account.id,
-          address,
-          domain: actualDomain,
-          password,
-          token: auth.token,
-          tokenExpiresAt: auth.tokenExpiresAt,
-          refreshToken: auth.refreshToken,
-        };
-      } catch (error) {
-        // If server error (500+), try next domain with delay
-        if (error.status >= 500) {
-          console.log(
-            `[Domain Rotation] Server error (${error.status}) on ${domain}, trying next domain...`
-          );
-          // Add delay before trying next domain for server errors
-          if (domainOffset < maxDomainsToTry - 1) {
-            await new Promise((resolve) =>
-              setTimeout(resolve, 200 + Math.random() * 300)
-            );
-          }
-          break; // Break inner loop, try next domain
-        }
-
-        // If rate limited (429), add delay and try next domain
-        if (error.status === 429) {
-          rateLimitedDomains++;
-          console.log(
-            `[Domain Rotation] Rate limited (429) on ${domain} (${rateLimitedDomains} rate-limited so far), trying next domain...`
-          );
-
-          // Add small delay before trying next domain (100-300ms random)
-          if (domainOffset < maxDomainsToTry - 1) {
-            await new Promise((resolve) =>
-              setTimeout(resolve, 100 + Math.random() * 200)
-            );
-          }
-          break; // Break inner loop, try next domain
-        }
-
-        // If domain-specific error (422 with rate message), try next domain
-        if (
-          error.status === 422 &&
-          (error.data?.detail?.includes("rate") ||
-            error.data?.detail?.includes("limit") ||
-            error.data?.message?.includes("rate") ||
-            error.data?.message?.includes("limit"))
-        ) {
-          rateLimitedDomains++;
-          console.log(
-            `[Domain Rotation] Domain limit reached (422) on ${domain} (${rateLimitedDomains} rate-limited so far), trying next domain...`
-          );
-
-          // Add small delay before trying next domain
-          if (domainOffset < maxDomainsToTry - 1) {
-            await new Promise((resolve) =>
-              setTimeout(resolve, 100 + Math.random() * 200)
-            );
-          }
-          break;
-        }
-
-        if ([400, 409].includes(error.status)) {
-          if (attempt < 1) {
-            await new Promise((resolve) => setTimeout(resolve, 50));
-          }
-          continue;
-        }
-
-        console.log(
-          `[Domain Rotation] Error ${error.status} on ${domain}, trying next domain...`
-        );
-        break;
-      }
-    }
-  }
-
-  domainRotationIndex = (domainRotationIndex + 1) % domainsToTry.length;
-
-  // Check if we had server errors (500+) vs rate limits
-  let errorMessage;
-  if (rateLimitedDomains >= maxDomainsToTry - 2) {
-    errorMessage =
-      "Unable to allocate mailbox. All domains are currently rate-limited. Please wait a few seconds and try again.";
-  } else {
-    errorMessage =
-      "Unable to allocate mailbox at this time. The email service may be temporarily unavailable. Please try again in a few moments.";
-  }
-
-  console.error(
-    `[Domain Rotation] Failed after trying ${maxDomainsToTry} domains. ${rateLimitedDomains} were rate-limited.`
-  );
-  throw new Error(errorMessage);
-};
+  runWithContext({ requestId: req.id }, next);
+});
 
 // Security middleware
 if (isProduction) {
@@ -702,15 +191,47 @@ app.use(compression());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: isProduction ? 100 : 1000, // Limit each IP to 100 requests per windowMs in production
-  message: {
+  message: (req) => ({
     error: "Too many requests from this IP, please try again later.",
     status: 429,
-  },
+    requestId: req.id,
+  }),
   standardHeaders: true,
   legacyHeaders: false,
+  // API key clients are limited by their own quotas instead
+  skip: (req) => Boolean(req.apiKey),
+});
+
+const apiKeys = createApiKeyManager({
+  keyStore: createMailboxStore("apiKeys"),
+  usageStore: createMailboxStore("apiKeyUsage"),
 });
 
-app.use("/api/", limiter);
+app.use("/api/", apiKeys.middleware, limiter);
+
+// Set IMAGE_PROXY_SECRET when running several instances, so image URLs
+// signed by one are accepted by the others
+const imageProxy = IMAGE_PROXY_ENABLED
+  ? createImageProxy({
+      ...(process.env.IMAGE_PROXY_SECRET && {
+        secret: process.env.IMAGE_PROXY_SECRET,
+      }),
+      maxBytes: IMAGE_PROXY_MAX_BYTES,
+    })
+  : null;
+
+// Stricter per-IP limit for password guessing on the account routes
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: isProduction ? 20 : 200,
+  message: (req) => ({
+    error: "Too many login attempts, please try again later.",
+    status: 429,
+    requestId: req.id,
+  }),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
 // CORS configuration
 const corsOptions = {
@@ -728,8 +249,25 @@ const corsOptions = {
       }
     }
   },
-  methods: ["GET", "POST", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "X-Mailbox-Token",
+    "X-API-Key",
+    "X-Request-Id",
+  ],
+  exposedHeaders: [
+    "X-Request-Id",
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+    "Retry-After",
+    "X-Quota-Mailboxes-Limit",
+    "X-Quota-Mailboxes-Remaining",
+    "X-Quota-Daily-Creations-Limit",
+    "X-Quota-Daily-Creations-Remaining",
+  ],
   credentials: false,
   maxAge: 86400, // 24 hours
 };
@@ -740,6 +278,51 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: "100kb" }));
 app.use(express.urlencoded({ extended: true, limit: "100kb" }));
 
+// Structured 400s for bodies, path params and queries the spec rejects
+app.use(createRequestValidator(openApiDocument));
+
+const userAccounts = createUserAccounts({
+  users: createMailboxStore("users"),
+  sessions: createMailboxStore("sessions"),
+  sessionTtlDays: USER_SESSION_TTL_DAYS,
+});
+
+// Sets req.user / req.session when the request carries a user session token.
+// Sessions only travel in the Authorization header, never in the query string
+app.use("/api/", async (req, _res, next) => {
+  try {
+    const match = (req.get("authorization") || "").match(/^Bearer\s+(\S+)$/i);
+    if (match && isSessionToken(match[1])) {
+      const resolved = await userAccounts.resolveSession(match[1]);
+      if (!resolved) {
+        const error = new Error("Session expired or invalid, please log in");
+        error.status = 401;
+        throw error;
+      }
+      req.user = resolved.user;
+      req.session = resolved.session;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin routes of an in-process mail.tm mock (MAIL_TM_BASE_URL=mock), e.g.
+// POST /_mock/mailtm/_admin/messages to deliver a test message
+app.use("/_mock/:provider", (req, res, next) => {
+  const mock = !isProduction && getMockServer(req.params.provider);
+  if (!mock || !req.path.startsWith("/_admin/")) return next();
+  mock.requestListener(req, res);
+});
+
+const requireUser = (req, _res, next) => {
+  if (req.user) return next();
+  const error = new Error("Login required");
+  error.status = 401;
+  next(error);
+};
+
 // Serve static files - check if dist folder exists
 const staticPath = isProduction
   ? path.join(__dirname, "dist")
@@ -750,10 +333,10 @@ const staticPath = isProduction
 if (existsSync(staticPath)) {
   app.use(express.static(staticPath));
   if (isVercel) {
-    console.log(`[Vercel] Serving static files from: ${staticPath}`);
+    logger.info("[Vercel] Serving static files", { staticPath });
   }
 } else if (isVercel) {
-  console.warn(`[Vercel] Static files directory not found: ${staticPath}`);
+  logger.warn("[Vercel] Static files directory not found", { staticPath });
 }
 
 // Root endpoint
@@ -765,38 +348,139 @@ app.get("/", (_req, res) => {
   });
 });
 
-app.get("/api/health", (_req, res) => {
+app.get("/api/health", async (_req, res) => {
   res.json({
     status: "ok",
-    mailboxes: mailboxes.size,
+    mailboxes: await mailboxes.count(),
+    store: mailboxes.kind,
+    cleanup: await cleanupQueue.stats(),
     uptime: process.uptime(),
     timestamp: new Date().toISOString(),
     environment: isProduction ? "production" : "development",
   });
 });
 
+app.get("/api/openapi.json", (_req, res) => {
+  res.json(openApiDocument);
+});
+
+app.get("/api/docs", (_req, res, next) => {
+  if (!API_DOCS_ENABLED) {
+    const error = new Error("API docs are disabled");
+    error.status = 404;
+    return next(error);
+  }
+  // Only the pinned bundle may run; Redoc renders in a web worker
+  res.set(
+    "Content-Security-Policy",
+    `default-src 'self'; script-src ${REDOC_BUNDLE_URL}; worker-src blob:; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; font-src https://fonts.gstatic.com; img-src 'self' data: https:`
+  );
+  res.type("html").send(`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>Temp Mail API</title>
+  </head>
+  <body>
+    <redoc spec-url="openapi.json"></redoc>
+    <script
+      src="${REDOC_BUNDLE_URL}"
+      integrity="${REDOC_BUNDLE_INTEGRITY}"
+      crossorigin="anonymous"
+    ></script>
+  </body>
+</html>
+`);
+});
+
+registry.gauge(
+  "tempmail_mailboxes_active",
+  "Mailboxes currently stored and not yet retired",
+  async () => [{ value: await mailboxes.count() }]
+);
+registry.gauge(
+  "tempmail_cleanup_queue_entries",
+  "Upstream account removals waiting for a retry, by status",
+  async () => {
+    const stats = await cleanupQueue.stats();
+    return Object.entries(stats).map(([status, value]) => ({
+      labels: { status },
+      value,
+    }));
+  }
+);
+
+// Prometheus scrape endpoint: Authorization: Bearer <METRICS_TOKEN>
+app.get("/api/metrics", async (req, res, next) => {
+  try {
+    if (!METRICS_TOKEN) {
+      const error = new Error("Metrics are disabled");
+      error.status = 404;
+      throw error;
+    }
+    const match = (req.get("authorization") || "").match(/^Bearer\s+(\S+)$/i);
+    const digest = (value) =>
+      crypto.createHash("sha256").update(value).digest();
+    if (
+      !match ||
+      !crypto.timingSafeEqual(digest(match[1]), digest(METRICS_TOKEN))
+    ) {
+      const error = new Error("Invalid metrics token");
+      error.status = 401;
+      throw error;
+    }
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.set("Cache-Control", "no-store");
+    res.send(await registry.render());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mailboxes stored before the lifetime cap existed get it from createdAt
+const getMaxExpiresAt = (mailbox) =>
+  mailbox.maxExpiresAt ||
+  dayjs(mailbox.createdAt)
+    .add(MAILBOX_MAX_LIFETIME_MINUTES, "minute")
+    .toISOString();
+
 const buildMailboxResponse = (mailbox) => ({
   mailboxId: mailbox.mailboxId,
   address: mailbox.address,
   domain: mailbox.domain,
+  provider: mailbox.provider,
   createdAt: mailbox.createdAt,
   expiresAt: mailbox.expiresAt,
+  maxExpiresAt: getMaxExpiresAt(mailbox),
+  extensionsRemaining: Math.max(
+    0,
+    MAILBOX_MAX_EXTENSIONS - (mailbox.extensionCount || 0)
+  ),
   messageCount: mailbox.lastMessageCount || 0,
+  webhookUrl: mailbox.webhookUrl || null,
+});
+
+const buildWebhookResponse = (mailbox) => ({
+  url: mailbox.webhookUrl || null,
+  deliveries: mailbox.webhookDeliveries || [],
 });
 
-const ensureMailbox = (mailboxId) => {
-  const mailbox = mailboxes.get(mailboxId);
+const ensureMailbox = async (mailboxId) => {
+  const mailbox = await mailboxes.get(mailboxId);
   if (!mailbox) {
-    console.warn(
-      `[Mailbox Not Found] ${mailboxId} (total mailboxes: ${mailboxes.size})`
-    );
+    logger.warn("[Mailbox Not Found]", {
+      mailboxId,
+      totalMailboxes: await mailboxes.count(),
+    });
     const error = new Error("Mailbox not found or expired");
     error.status = 404;
     throw error;
   }
   if (dayjs().isAfter(mailbox.expiresAt)) {
-    mailboxes.delete(mailboxId);
-    console.log(`[Mailbox Expired] ${mailboxId}`);
+    await expireMailbox(mailbox).catch((retireError) =>
+      logger.error("[Retire Error]", { mailboxId, error: retireError })
+    );
+    logger.info("[Mailbox Expired]", { mailboxId });
     const error = new Error("Mailbox expired");
     error.status = 410;
     throw error;
@@ -804,125 +488,1166 @@ const ensureMailbox = (mailboxId) => {
   return mailbox;
 };
 
-const createMailbox = async (preferredDomain) => {
-  const remote = await provisionMailboxWithMailTm(preferredDomain);
+// Route guard: loads the mailbox into req.mailbox once its access token
+// has been checked against the scope the route needs
+const authorizeMailbox =
+  (requiredScope = "read") =>
+  async (req, _res, next) => {
+    try {
+      const mailbox = await ensureMailbox(req.params.mailboxId);
+      // A logged-in owner has full access without a mailbox token
+      req.accessToken =
+        req.user && mailbox.ownerId === req.user.userId
+          ? { id: null, scope: "full", owner: true }
+          : verifyAccessToken(mailbox, extractAccessToken(req), requiredScope);
+      req.mailbox = mailbox;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+// Drop the local record only; the upstream account is left alone
+const forgetMailbox = async (mailbox) => {
+  await mailboxes.delete(mailbox.mailboxId);
+  apiKeys.releaseMailbox(mailbox);
+  inboxWatcher.publish(mailbox.mailboxId, "mailbox.expired", {
+    mailboxId: mailbox.mailboxId,
+  });
+};
+
+// Forget a mailbox locally, close its live subscribers and remove the
+// upstream account (queued for retry when the provider call fails)
+const retireMailbox = async (mailbox, { delayMs = 0 } = {}) => {
+  await forgetMailbox(mailbox);
+  return cleanupQueue.removeAccount(mailbox, { delayMs });
+};
+
+// Expired mailboxes keep their upstream account through the restore grace
+const expireMailbox = (mailbox) =>
+  retireMailbox(mailbox, {
+    delayMs: MAILBOX_RESTORE_GRACE_MINUTES * 60 * 1000,
+  });
+
+// Apply a change to the freshest stored copy of a mailbox
+const updateMailbox = async (mailboxId, update) => {
+  const mailbox = await mailboxes.get(mailboxId);
+  if (!mailbox) return null;
+  update(mailbox);
+  await mailboxes.set(mailboxId, mailbox);
+  return mailbox;
+};
+
+// Store a new mailbox record for an upstream account (new or restored)
+const storeMailbox = async (
+  remote,
+  {
+    ttlMinutes = MAILBOX_TTL_MINUTES,
+    webhookUrl = null,
+    apiKeyId = null,
+    ownerId = null,
+    // A restored mailbox keeps the recovery secret it was created with
+    recoverySecretHash = null,
+  } = {}
+) => {
   const mailboxId = uuid();
+  const { token: accessToken, record: accessTokenRecord } =
+    issueAccessToken("full");
+  const recovery = recoverySecretHash
+    ? { secret: null, hash: recoverySecretHash }
+    : issueRecoverySecret();
   const createdAt = dayjs().toISOString();
-  const expiresAt = dayjs(createdAt)
-    .add(MAILBOX_TTL_MINUTES, "minute")
+  const expiresAt = dayjs(createdAt).add(ttlMinutes, "minute").toISOString();
+  const maxExpiresAt = dayjs(createdAt)
+    .add(Math.max(MAILBOX_MAX_LIFETIME_MINUTES, ttlMinutes), "minute")
     .toISOString();
   const mailbox = {
     mailboxId,
     address: remote.address,
     domain: remote.domain,
+    provider: remote.provider,
     createdAt,
     expiresAt,
+    ttlMinutes,
+    maxExpiresAt,
+    extensionCount: 0,
+    lastExtendedAt: null,
     password: remote.password,
+    recoverySecretHash: recovery.hash,
     accountId: remote.accountId,
     token: remote.token,
     tokenExpiresAt: remote.tokenExpiresAt,
     refreshToken: remote.refreshToken,
     lastMessageCount: 0,
+    webhookUrl,
+    webhookSecret: webhookUrl ? generateWebhookSecret() : null,
+    webhookDeliveries: [],
+    accessTokens: [accessTokenRecord],
+    apiKeyId,
+    ownerId,
   };
-  mailboxes.set(mailboxId, mailbox);
-  return mailbox;
+  await mailboxes.set(mailboxId, mailbox);
+  webhookDispatcher.register(mailbox);
+  return { mailbox, accessToken, recoverySecret: recovery.secret };
 };
 
-setInterval(() => {
-  const now = dayjs();
-  mailboxes.forEach((mailbox, mailboxId) => {
-    if (now.isAfter(mailbox.expiresAt)) {
-      mailboxes.delete(mailboxId);
-    }
-  });
-}, CLEANUP_INTERVAL_MS).unref();
+const createMailbox = async ({
+  preferredDomain = null,
+  localPart = null,
+  prefix = null,
+  ...options
+} = {}) =>
+  storeMailbox(
+    await provisionMailbox(preferredDomain, { localPart, prefix }),
+    options
+  );
 
-app.post("/api/mailboxes", async (req, res, next) => {
+// Remote images in safeHtml only load with ?remoteContent=true, and then go
+// through the image proxy unless it is disabled
+const parseRemoteContent = (query) => query.remoteContent === true;
+
+// extracted and safeHtml only depend on the message content, so they are
+// worked out once per message and view instead of on every list and poll.
+// Summaries and full messages share an id, hence the lengths in the key.
+const PRESENTED_CACHE_SIZE = 2000;
+const presentedCache = new Map();
+
+const presentMessage = (message, { remoteContent = false } = {}) => {
+  const key = [
+    message.id,
+    remoteContent,
+    (message.html || "").length,
+    (message.body || "").length,
+  ].join(":");
+  let presented = presentedCache.get(key);
+  if (!presented) {
+    presented = {
+      extracted: extractFromMessage(message),
+      safeHtml: sanitizeMessageHtml(message.html, {
+        loadRemoteContent: remoteContent,
+        rewriteImageUrl: imageProxy?.buildUrl,
+      }),
+    };
+    presentedCache.set(key, presented);
+    if (presentedCache.size > PRESENTED_CACHE_SIZE) {
+      presentedCache.delete(presentedCache.keys().next().value);
+    }
+  }
+  return { ...message, ...presented };
+};
+
+// Fetch the inbox from the mailbox's provider and persist what changed
+const loadMailboxMessages = async (
+  mailbox,
+  { remoteContent, ...options } = {}
+) => {
+  const page = await getProvider(mailbox.provider).listMessages(
+    mailbox,
+    options
+  );
+  mailbox.lastMessageCount = page.total;
+  // Persist the message count and any refreshed provider token
+  await updateMailbox(mailbox.mailboxId, (record) => {
+    record.lastMessageCount = mailbox.lastMessageCount;
+    record.token = mailbox.token;
+    record.tokenExpiresAt = mailbox.tokenExpiresAt;
+    record.refreshToken = mailbox.refreshToken;
+  });
+  // Copies, so provider-side caches never hold the presentation fields
+  return {
+    ...page,
+    messages: page.messages.map((message) =>
+      presentMessage(message, { remoteContent })
+    ),
+  };
+};
+
+const encodeMessageCursor = (message) =>
+  Buffer.from(
+    JSON.stringify({ receivedAt: message.receivedAt, id: message.id })
+  ).toString("base64url");
+
+const decodeMessageCursor = (cursor) => {
   try {
-    const preferredDomain = req.body?.domain || null;
-    console.log(
-      `[Mailbox Creation Request] domain: ${preferredDomain || "none"}`
-    );
-    const mailbox = await createMailbox(preferredDomain);
-    console.log(`[Mailbox Created] ${mailbox.mailboxId} -> ${mailbox.address}`);
-    res.status(201).json(buildMailboxResponse(mailbox));
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (decoded?.receivedAt && decoded?.id) {
+      return { receivedAt: decoded.receivedAt, id: String(decoded.id) };
+    }
+  } catch {
+    // fall through to the error below
+  }
+  const error = new Error("Invalid cursor");
+  error.status = 400;
+  throw error;
+};
+
+// ?limit=&since=<ISO date>&cursor=<nextCursor from a previous page>; limit
+// was range-checked and coerced by the request validator
+const parseMessageQuery = (query) => {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+  const options = { limit: query.limit ?? DEFAULT_MESSAGE_PAGE_SIZE };
+  if (query.since !== undefined) {
+    if (!dayjs(query.since).isValid()) {
+      throw invalid("since must be an ISO 8601 date");
+    }
+    options.since = dayjs(query.since).toISOString();
+  }
+  if (query.cursor !== undefined) {
+    options.before = decodeMessageCursor(String(query.cursor));
+  }
+  return options;
+};
+
+// ?from=&subject=<regex>&contains=&since=<ISO date>&timeout=<seconds>;
+// lengths and the timeout were checked and coerced by the request validator
+const parseWaitQuery = (query) => {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  const from = query.from?.toLowerCase();
+  const contains = query.contains?.toLowerCase();
+  // Compiled by pattern.js rather than RegExp: a caller-supplied pattern
+  // must not be able to backtrack long enough to stall the event loop
+  let subject = null;
+  if (query.subject) {
+    try {
+      subject = compilePattern(query.subject);
+    } catch (error) {
+      throw invalid(
+        `subject must be a supported regular expression (${error.message})`
+      );
+    }
+  }
+
+  let since = null;
+  if (query.since !== undefined) {
+    if (!dayjs(query.since).isValid()) {
+      throw invalid("since must be an ISO 8601 date");
+    }
+    since = dayjs(query.since).toISOString();
+  }
+
+  const timeoutMs =
+    query.timeout !== undefined
+      ? query.timeout * 1000
+      : WAIT_DEFAULT_TIMEOUT_MS;
+
+  return {
+    since,
+    timeoutMs: Math.min(timeoutMs, WAIT_MAX_TIMEOUT_MS),
+    matches: (message) =>
+      (!from || (message.from || "").toLowerCase().includes(from)) &&
+      (!subject || subject.test(message.subject || "")) &&
+      (!contains ||
+        `${message.body || ""}\n${message.html || ""}`
+          .toLowerCase()
+          .includes(contains)),
+  };
+};
+
+const inboxWatcher = createInboxWatcher({
+  pollIntervalMs: INBOX_POLL_INTERVAL_MS,
+  fetchMessages: async (mailboxId) =>
+    (await loadMailboxMessages(await ensureMailbox(mailboxId))).messages,
+});
+
+const webhookDispatcher = createWebhookDispatcher({
+  watcher: inboxWatcher,
+  getMailbox: (mailboxId) => mailboxes.get(mailboxId),
+  updateMailbox,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS,
+});
+
+// Resume webhook watches and API key mailbox counts for mailboxes that
+// outlived the previous process
+mailboxes
+  .list()
+  .then((records) =>
+    records
+      .filter((mailbox) => dayjs().isBefore(mailbox.expiresAt))
+      .forEach((mailbox) => {
+        apiKeys.trackMailbox(mailbox);
+        if (mailbox.webhookUrl) webhookDispatcher.register(mailbox);
+      })
+  )
+  .catch((error) => logger.error("[Mailbox Resume Error]", { error }));
+
+// Expire mailboxes and run due upstream removals; `now` is overridable so
+// tests can sweep as if time had passed
+export const runCleanupSweep = async (now = dayjs()) => {
+  try {
+    const records = await mailboxes.list();
+    for (const mailbox of records) {
+      if (now.isAfter(mailbox.expiresAt)) {
+        await expireMailbox(mailbox);
+      }
+    }
+    await cleanupQueue.processDue(now);
+    await apiKeys.pruneUsage();
+    await userAccounts.pruneSessions();
   } catch (error) {
-    console.error("[Mailbox Creation Error]", {
-      message: error.message,
+    logger.error("[Cleanup Error]", { error });
+  }
+};
+
+setInterval(() => runCleanupSweep(), CLEANUP_INTERVAL_MS).unref();
+
+// Domains accepted by POST /api/mailboxes, with recent provisioning health
+app.get("/api/domains", async (req, res, next) => {
+  try {
+    res.json({ domains: await describeDomains() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Domain scorer / circuit breaker state, for debugging provisioning
+app.get("/api/domains/scores", (req, res) => {
+  res.json({ providers: getDomainScores() });
+});
+
+// Remote images from message HTML, fetched server-side so the sender never
+// sees the reader's IP. Only URLs signed into safeHtml are served.
+app.get("/api/proxy/image", async (req, res, next) => {
+  try {
+    if (!imageProxy) {
+      const error = new Error("Image proxy is disabled");
+      error.status = 404;
+      throw error;
+    }
+    const { url, sig } = req.query;
+    if (!imageProxy.verify(url, sig)) {
+      const error = new Error("Invalid or missing image signature");
+      error.status = 403;
+      throw error;
+    }
+    const image = await imageProxy.fetchImage(url);
+    res.set({
+      "Content-Type": image.contentType,
+      "Content-Length": String(image.body.length),
+      "Content-Security-Policy": "default-src 'none'",
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, max-age=86400",
+    });
+    res.send(image.body);
+  } catch (error) {
+    logger.warn("[Image Proxy Error]", {
       status: error.status,
-      stack: error.stack?.split("\n").slice(0, 5).join("\n"),
+      message: error.message,
     });
     next(error);
   }
 });
 
-app.get("/api/mailboxes/:mailboxId", (req, res, next) => {
+app.post("/api/auth/signup", authLimiter, async (req, res, next) => {
   try {
-    const mailbox = ensureMailbox(req.params.mailboxId);
-    res.json(buildMailboxResponse(mailbox));
+    const { user, session } = await userAccounts.signup(req.body || {});
+    logger.info("[User Signup]", { userId: user.userId });
+    res.status(201).json({ user: buildUserResponse(user), ...session });
   } catch (error) {
     next(error);
   }
 });
 
-app.get("/api/mailboxes/:mailboxId/messages", async (req, res, next) => {
+app.post("/api/auth/login", authLimiter, async (req, res, next) => {
   try {
-    const mailbox = ensureMailbox(req.params.mailboxId);
-    const messages = await fetchMailboxMessages(mailbox);
-    res.json({
-      mailbox: buildMailboxResponse(mailbox),
-      messages,
-    });
+    const { user, session } = await userAccounts.login(req.body || {});
+    res.json({ user: buildUserResponse(user), ...session });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/auth/logout", requireUser, async (req, res, next) => {
+  try {
+    await userAccounts.logout(req.session);
+    res.status(204).end();
   } catch (error) {
-    console.error(
-      `[Messages Fetch Error] ${req.params.mailboxId}:`,
-      error.message,
-      error.status
-    );
     next(error);
   }
 });
 
-app.post("/api/mailboxes/:mailboxId/messages", (req, res, next) => {
+app.get("/api/auth/me", requireUser, (req, res) => {
+  res.json({ user: buildUserResponse(req.user) });
+});
+
+app.get("/api/me/mailboxes", requireUser, async (req, res, next) => {
   try {
-    ensureMailbox(req.params.mailboxId);
-    res.status(501).json({
-      error:
-        "Sending emails via API is not supported. Send from any email client to this address.",
-      status: 501,
+    const now = dayjs();
+    const owned = (await mailboxes.list())
+      .filter(
+        (mailbox) =>
+          mailbox.ownerId === req.user.userId && now.isBefore(mailbox.expiresAt)
+      )
+      .sort(
+        (a, b) => dayjs(b.createdAt).valueOf() - dayjs(a.createdAt).valueOf()
+      );
+    res.json({ mailboxes: owned.map(buildMailboxResponse) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/mailboxes", async (req, res, next) => {
+  try {
+    const preferredDomain = req.body?.domain || null;
+    if (req.body?.localPart && req.body?.prefix) {
+      const error = new Error("Use either localPart or prefix, not both");
+      error.status = 400;
+      throw error;
+    }
+    const localPart = req.body?.localPart
+      ? validateLocalPart(req.body.localPart)
+      : null;
+    const prefix = req.body?.prefix
+      ? validateLocalPartPrefix(req.body.prefix)
+      : null;
+    const ttlMinutes = req.body?.ttlMinutes ?? MAILBOX_TTL_MINUTES;
+    if (req.apiKey) {
+      await apiKeys.checkCreation(req.apiKey);
+    }
+    const webhookUrl = req.body?.webhookUrl
+      ? validateWebhookUrl(req.body.webhookUrl, {
+          allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS,
+        })
+      : null;
+    logger.info("[Mailbox Creation Request]", {
+      domain: preferredDomain,
+      localPart: localPart || (prefix ? `${prefix}-*` : "random"),
+    });
+    const { mailbox, accessToken, recoverySecret } = await createMailbox({
+      preferredDomain,
+      localPart,
+      prefix,
+      ttlMinutes,
+      webhookUrl,
+      apiKeyId: req.apiKey?.id || null,
+      ownerId: req.user?.userId || null,
+    });
+    if (req.apiKey) {
+      await apiKeys.recordCreation(req.apiKey, mailbox);
+      await apiKeys.setQuotaHeaders(res, req.apiKey);
+    }
+    metrics.mailboxesCreated.inc({ provider: mailbox.provider });
+    logger.info("[Mailbox Created]", {
+      mailboxId: mailbox.mailboxId,
+      address: mailbox.address,
+      provider: mailbox.provider,
+    });
+    res.status(201).json({
+      ...buildMailboxResponse(mailbox),
+      // Shown once; every other mailbox route requires it
+      accessToken,
+      // Shown once; with the address it restores the mailbox if this server
+      // forgets it (POST /api/mailboxes/restore)
+      recoverySecret,
+      // The signing secret is only ever returned when it is issued
+      ...(mailbox.webhookSecret
+        ? { webhookSecret: mailbox.webhookSecret }
+        : {}),
     });
   } catch (error) {
+    metrics.mailboxCreationFailures.inc({ status: error.status || 500 });
+    logger.error("[Mailbox Creation Error]", { error });
     next(error);
   }
 });
 
-app.post("/api/mailboxes/:mailboxId/extend", (req, res, next) => {
+// Rebuild a forgotten mailbox (server restart, lost mailboxId) from its
+// address and recovery secret, as long as the upstream account still exists.
+// Local records of the same address are replaced by the new mailboxId.
+app.post("/api/mailboxes/restore", authLimiter, async (req, res, next) => {
   try {
-    const mailbox = ensureMailbox(req.params.mailboxId);
-    mailbox.expiresAt = dayjs()
-      .add(MAILBOX_TTL_MINUTES, "minute")
-      .toISOString();
-    res.json(buildMailboxResponse(mailbox));
+    const address =
+      typeof req.body?.address === "string"
+        ? req.body.address.trim().toLowerCase()
+        : "";
+    const recoverySecret = req.body?.recoverySecret;
+    if (!/^[^\s@]+@[^\s@]+$/.test(address)) {
+      const error = new Error("A valid address is required");
+      error.status = 400;
+      throw error;
+    }
+    if (typeof recoverySecret !== "string" || !recoverySecret) {
+      const error = new Error("recoverySecret is required");
+      error.status = 400;
+      throw error;
+    }
+    const ttlMinutes = req.body?.ttlMinutes ?? MAILBOX_TTL_MINUTES;
+    if (req.apiKey) {
+      await apiKeys.checkCreation(req.apiKey);
+    }
+
+    // Records that still know the address: live mailboxes, and expired or
+    // deleted ones whose upstream removal is queued
+    const previous = (await mailboxes.list()).filter(
+      (mailbox) => mailbox.address.toLowerCase() === address
+    );
+    const recoverable = [
+      ...previous,
+      ...(await cleanupQueue.find(address)),
+    ].find((record) =>
+      verifyRecoverySecret(recoverySecret, record.recoverySecretHash)
+    );
+    if (!recoverable) {
+      const error = new Error("Invalid address or recovery secret");
+      error.status = 401;
+      throw error;
+    }
+    const remote = await authenticateMailbox(address, recoverable.password);
+    for (const mailbox of previous) {
+      await forgetMailbox(mailbox);
+    }
+    // Expired copies may still be queued for upstream removal
+    await cleanupQueue.cancel(address);
+
+    const { mailbox, accessToken } = await storeMailbox(remote, {
+      ttlMinutes,
+      recoverySecretHash: recoverable.recoverySecretHash,
+      apiKeyId: req.apiKey?.id || null,
+      ownerId: req.user?.userId || null,
+    });
+    if (req.apiKey) {
+      await apiKeys.recordCreation(req.apiKey, mailbox);
+      await apiKeys.setQuotaHeaders(res, req.apiKey);
+    }
+    logger.info("[Mailbox Restored]", {
+      mailboxId: mailbox.mailboxId,
+      address: mailbox.address,
+      replaced: previous.length,
+    });
+    res.status(201).json({
+      ...buildMailboxResponse(mailbox),
+      accessToken,
+    });
   } catch (error) {
+    logger.warn("[Mailbox Restore Error]", {
+      status: error.status,
+      message: error.message,
+    });
     next(error);
   }
 });
 
+app.get(
+  "/api/mailboxes/:mailboxId",
+  authorizeMailbox("read"),
+  async (req, res, next) => {
+    try {
+      const { mailbox } = req;
+      res.json(buildMailboxResponse(mailbox));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.delete(
+  "/api/mailboxes/:mailboxId",
+  authorizeMailbox("full"),
+  async (req, res, next) => {
+    try {
+      const { mailbox } = req;
+      const upstreamDeleted = await retireMailbox(mailbox);
+      logger.info("[Mailbox Deleted]", {
+        mailboxId: mailbox.mailboxId,
+        address: mailbox.address,
+        upstream: upstreamDeleted ? "deleted" : "queued for cleanup",
+      });
+      res.json({
+        mailboxId: mailbox.mailboxId,
+        deleted: true,
+        upstream: upstreamDeleted ? "deleted" : "pending",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/mailboxes/:mailboxId/messages",
+  authorizeMailbox("read"),
+  async (req, res, next) => {
+    try {
+      const { mailbox } = req;
+      const { messages, hasMore } = await loadMailboxMessages(mailbox, {
+        ...parseMessageQuery(req.query),
+        remoteContent: parseRemoteContent(req.query),
+      });
+      res.json({
+        mailbox: buildMailboxResponse(mailbox),
+        messages,
+        hasMore,
+        nextCursor:
+          hasMore && messages.length
+            ? encodeMessageCursor(messages[messages.length - 1])
+            : null,
+      });
+    } catch (error) {
+      logger.error("[Messages Fetch Error]", {
+        mailboxId: req.params.mailboxId,
+        status: error.status,
+        message: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
+// Blocks until a message matching the filters is in the inbox (including
+// ones that arrived before the call, unless ?since= excludes them)
+app.get(
+  "/api/mailboxes/:mailboxId/messages/wait",
+  authorizeMailbox("read"),
+  async (req, res, next) => {
+    try {
+      let { mailbox } = req;
+      const { since, timeoutMs, matches } = parseWaitQuery(req.query);
+      const deadline = Date.now() + timeoutMs;
+      const seen = new Map();
+      let closed = false;
+      req.on("close", () => {
+        closed = true;
+      });
+
+      while (!closed) {
+        const { messages } = await loadMailboxMessages(mailbox, {
+          limit: MAX_MESSAGE_PAGE_SIZE,
+          remoteContent: parseRemoteContent(req.query),
+          ...(since && { since }),
+        });
+        const match = messages.find(matches);
+        if (match) {
+          return res.json({
+            mailbox: buildMailboxResponse(mailbox),
+            message: match,
+          });
+        }
+        messages.forEach((message) => seen.set(message.id, message));
+
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) break;
+        await new Promise((resolve) =>
+          setTimeout(resolve, Math.min(INBOX_POLL_INTERVAL_MS, remaining))
+        );
+        // Stops with 410 if the mailbox expired while waiting
+        mailbox = await ensureMailbox(mailbox.mailboxId);
+      }
+      if (closed) return;
+
+      res.status(408).json({
+        error: "No matching message arrived before the timeout",
+        status: 408,
+        requestId: req.id,
+        timeoutMs,
+        seen: [...seen.values()].map((message) => ({
+          id: message.id,
+          from: message.from,
+          subject: message.subject,
+          receivedAt: message.receivedAt,
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/mailboxes/:mailboxId/stream",
+  authorizeMailbox("read"),
+  async (req, res, next) => {
+    const { mailbox } = req;
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    // compression buffers output, so flush after every write
+    const write = (chunk) => {
+      res.write(chunk);
+      res.flush?.();
+    };
+
+    // Every event carries the cursor of the newest message the client has
+    // been sent (or of the connection time), so a reconnecting EventSource
+    // sends it back as Last-Event-ID and is replayed what it missed
+    let resumeFrom = null;
+    const lastEventId = req.get("last-event-id") || req.query.lastEventId;
+    if (lastEventId) {
+      try {
+        resumeFrom = decodeMessageCursor(lastEventId);
+      } catch {
+        // an unknown id resumes nothing, like a fresh connection
+      }
+    }
+    let position = encodeMessageCursor(
+      resumeFrom || { receivedAt: dayjs().toISOString(), id: "-" }
+    );
+    const send = (event, data) => {
+      if (event === "message.new") {
+        position = encodeMessageCursor(data.message);
+      }
+      write(
+        `id: ${position}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+      );
+    };
+
+    write(`retry: ${INBOX_POLL_INTERVAL_MS}\n\n`);
+    send("mailbox.ready", { mailbox: buildMailboxResponse(mailbox) });
+
+    const heartbeat = setInterval(() => write(": ping\n\n"), SSE_HEARTBEAT_MS);
+    const deadline = SSE_MAX_DURATION_MS
+      ? setTimeout(() => res.end(), SSE_MAX_DURATION_MS)
+      : null;
+
+    const unsubscribe = inboxWatcher.subscribe(
+      mailbox.mailboxId,
+      (event) => {
+        send(event.type, event.data);
+        if (event.type === "mailbox.expired") {
+          res.end();
+        }
+      },
+      { since: resumeFrom }
+    );
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      clearTimeout(deadline);
+      unsubscribe();
+    };
+    req.on("close", cleanup);
+    res.on("finish", cleanup);
+  }
+);
+
+app.get(
+  "/api/mailboxes/:mailboxId/messages/:messageId",
+  authorizeMailbox("read"),
+  async (req, res, next) => {
+    try {
+      const { mailbox } = req;
+      const message = await getProvider(mailbox.provider).getMessage(
+        mailbox,
+        req.params.messageId
+      );
+      res.json({
+        mailbox: buildMailboxResponse(mailbox),
+        message: presentMessage(message, {
+          remoteContent: parseRemoteContent(req.query),
+        }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/mailboxes/:mailboxId/messages/:messageId/extract",
+  authorizeMailbox("read"),
+  async (req, res, next) => {
+    try {
+      const { mailbox } = req;
+      const message = await getProvider(mailbox.provider).getMessage(
+        mailbox,
+        req.params.messageId
+      );
+      res.json({ messageId: message.id, ...extractFromMessage(message) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.patch(
+  "/api/mailboxes/:mailboxId/messages/:messageId",
+  authorizeMailbox("full"),
+  async (req, res, next) => {
+    try {
+      const { mailbox } = req;
+      if (typeof req.body?.seen !== "boolean") {
+        const error = new Error('Body must include a boolean "seen" field');
+        error.status = 400;
+        throw error;
+      }
+      const message = await getProvider(mailbox.provider).markMessageSeen(
+        mailbox,
+        req.params.messageId,
+        req.body.seen
+      );
+      res.json({ mailbox: buildMailboxResponse(mailbox), message });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.delete(
+  "/api/mailboxes/:mailboxId/messages/:messageId",
+  authorizeMailbox("full"),
+  async (req, res, next) => {
+    try {
+      const { mailbox } = req;
+      await getProvider(mailbox.provider).deleteMessage(
+        mailbox,
+        req.params.messageId
+      );
+      await updateMailbox(mailbox.mailboxId, (record) => {
+        record.lastMessageCount = Math.max(
+          (record.lastMessageCount || 0) - 1,
+          0
+        );
+      });
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/mailboxes/:mailboxId/messages/:messageId/attachments/:attachmentId",
+  authorizeMailbox("read"),
+  async (req, res, next) => {
+    try {
+      const { mailbox } = req;
+      const attachment = await getProvider(mailbox.provider).getAttachment(
+        mailbox,
+        req.params.messageId,
+        req.params.attachmentId
+      );
+      if (attachment.size > ATTACHMENT_MAX_BYTES) {
+        attachment.stream.destroy();
+        const error = new Error(
+          `Attachment exceeds the ${ATTACHMENT_MAX_BYTES} byte download limit`
+        );
+        error.status = 413;
+        throw error;
+      }
+
+      res.attachment(attachment.filename);
+      res.set({
+        "Content-Type": attachment.contentType,
+        "X-Content-Type-Options": "nosniff",
+        "Cache-Control": "private, no-store",
+      });
+      if (attachment.size) {
+        res.set("Content-Length", String(attachment.size));
+      }
+
+      // Enforce the limit while streaming too, the reported size can be wrong
+      let received = 0;
+      const limiter = new Transform({
+        transform(chunk, _encoding, callback) {
+          received += chunk.length;
+          if (received > ATTACHMENT_MAX_BYTES) {
+            callback(new Error("Attachment exceeds the download limit"));
+            return;
+          }
+          callback(null, chunk);
+        },
+      });
+      pipeline(attachment.stream, limiter, res, (error) => {
+        if (error) {
+          logger.error("[Attachment Stream Error]", {
+            mailboxId: req.params.mailboxId,
+            messageId: req.params.messageId,
+            message: error.message,
+          });
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Original RFC 822 source, e.g. to inspect a message in a mail client
+app.get(
+  "/api/mailboxes/:mailboxId/messages/:messageId/raw",
+  authorizeMailbox("read"),
+  async (req, res, next) => {
+    try {
+      const { mailbox } = req;
+      const raw = await getProvider(mailbox.provider).getRawMessage(
+        mailbox,
+        req.params.messageId
+      );
+      res.attachment(`${req.params.messageId}.eml`);
+      res.set({
+        "Content-Type": "message/rfc822",
+        "X-Content-Type-Options": "nosniff",
+        "Cache-Control": "private, no-store",
+      });
+      if (raw.size) {
+        res.set("Content-Length", String(raw.size));
+      }
+      pipeline(raw.stream, res, (error) => {
+        if (error) {
+          logger.error("[Raw Message Stream Error]", {
+            mailboxId: req.params.mailboxId,
+            messageId: req.params.messageId,
+            message: error.message,
+          });
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Parsed headers: addresses with display names, Received chain,
+// Authentication-Results, List-Unsubscribe and the full header list
+app.get(
+  "/api/mailboxes/:mailboxId/messages/:messageId/headers",
+  authorizeMailbox("read"),
+  async (req, res, next) => {
+    try {
+      const { mailbox } = req;
+      const raw = await getProvider(mailbox.provider).getRawMessage(
+        mailbox,
+        req.params.messageId
+      );
+      res.json({
+        messageId: req.params.messageId,
+        ...(await parseMessageHeaders(raw.stream)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/api/mailboxes/:mailboxId/messages",
+  authorizeMailbox("full"),
+  async (req, res, next) => {
+    try {
+      res.status(501).json({
+        error:
+          "Sending emails via API is not supported. Send from any email client to this address.",
+        status: 501,
+        requestId: req.id,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/api/mailboxes/:mailboxId/extend",
+  authorizeMailbox("full"),
+  async (req, res, next) => {
+    try {
+      const refuse = (message, status) => {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+      };
+      const now = dayjs();
+      // Checked and applied on the freshest stored copy, so a concurrent
+      // change (token, webhook, another extension) is not overwritten
+      const mailbox = await updateMailbox(req.mailbox.mailboxId, (record) => {
+        const maxExpiresAt = getMaxExpiresAt(record);
+        if ((record.extensionCount || 0) >= MAILBOX_MAX_EXTENSIONS) {
+          throw refuse(
+            `This mailbox cannot be extended more than ${MAILBOX_MAX_EXTENSIONS} time(s)`,
+            409
+          );
+        }
+        if (!now.isBefore(dayjs(maxExpiresAt).subtract(1, "second"))) {
+          throw refuse("This mailbox has reached its maximum lifetime", 409);
+        }
+        if (record.lastExtendedAt) {
+          const readyAt = dayjs(record.lastExtendedAt).add(
+            MAILBOX_EXTENSION_COOLDOWN_SECONDS,
+            "second"
+          );
+          if (now.isBefore(readyAt)) {
+            const retryAfter = Math.ceil(readyAt.diff(now) / 1000);
+            res.set("Retry-After", String(retryAfter));
+            throw refuse(
+              `Mailbox was extended recently. Try again in ${retryAfter}s`,
+              429
+            );
+          }
+        }
+        const extended = now.add(
+          record.ttlMinutes || MAILBOX_TTL_MINUTES,
+          "minute"
+        );
+        record.expiresAt = (
+          extended.isAfter(maxExpiresAt) ? dayjs(maxExpiresAt) : extended
+        ).toISOString();
+        record.maxExpiresAt = maxExpiresAt;
+        record.extensionCount = (record.extensionCount || 0) + 1;
+        record.lastExtendedAt = now.toISOString();
+      });
+      if (!mailbox) {
+        throw refuse("Mailbox not found or expired", 404);
+      }
+      inboxWatcher.publish(mailbox.mailboxId, "mailbox.extended", {
+        mailbox: buildMailboxResponse(mailbox),
+      });
+      res.json(buildMailboxResponse(mailbox));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/mailboxes/:mailboxId/webhook",
+  authorizeMailbox("read"),
+  async (req, res, next) => {
+    try {
+      const { mailbox } = req;
+      res.json(buildWebhookResponse(mailbox));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.put(
+  "/api/mailboxes/:mailboxId/webhook",
+  authorizeMailbox("full"),
+  async (req, res, next) => {
+    try {
+      const { mailbox } = req;
+      // A null or empty url removes the webhook
+      const webhookUrl = req.body?.url
+        ? validateWebhookUrl(req.body.url, {
+            allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS,
+          })
+        : null;
+      const updated = await updateMailbox(mailbox.mailboxId, (record) => {
+        record.webhookUrl = webhookUrl;
+        // Keep the existing secret when only the URL changes
+        record.webhookSecret = webhookUrl
+          ? record.webhookSecret || generateWebhookSecret()
+          : null;
+      });
+      webhookDispatcher.register(updated);
+      res.json({
+        ...buildWebhookResponse(updated),
+        ...(updated.webhookSecret ? { secret: updated.webhookSecret } : {}),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/api/mailboxes/:mailboxId/tokens",
+  authorizeMailbox("full"),
+  (req, res) => {
+    res.json({
+      tokens: (req.mailbox.accessTokens || []).map(buildTokenResponse),
+    });
+  }
+);
+
+// Issue an extra token, e.g. a read-only one to share the inbox
+app.post(
+  "/api/mailboxes/:mailboxId/tokens",
+  authorizeMailbox("full"),
+  async (req, res, next) => {
+    try {
+      const { token, record } = issueAccessToken(req.body?.scope || "read");
+      await updateMailbox(req.mailbox.mailboxId, (mailbox) => {
+        mailbox.accessTokens = [...(mailbox.accessTokens || []), record];
+      });
+      res.status(201).json({ ...buildTokenResponse(record), token });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Replace the calling token with a new one of the same scope
+app.post(
+  "/api/mailboxes/:mailboxId/tokens/rotate",
+  authorizeMailbox("full"),
+  async (req, res, next) => {
+    try {
+      const { token, record } = issueAccessToken(req.accessToken.scope);
+      await updateMailbox(req.mailbox.mailboxId, (mailbox) => {
+        mailbox.accessTokens = [
+          ...(mailbox.accessTokens || []).filter(
+            (item) => item.id !== req.accessToken.id
+          ),
+          record,
+        ];
+      });
+      res.status(201).json({ ...buildTokenResponse(record), token });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.delete(
+  "/api/mailboxes/:mailboxId/tokens/:tokenId",
+  authorizeMailbox("full"),
+  async (req, res, next) => {
+    try {
+      const tokens = req.mailbox.accessTokens || [];
+      if (!tokens.some((item) => item.id === req.params.tokenId)) {
+        const error = new Error("Access token not found");
+        error.status = 404;
+        throw error;
+      }
+      // Never leave a mailbox without a full-access token
+      const remainingFull = tokens.filter(
+        (item) => item.scope === "full" && item.id !== req.params.tokenId
+      );
+      if (!remainingFull.length) {
+        const error = new Error(
+          "Cannot revoke the last full-access token; rotate it instead"
+        );
+        error.status = 409;
+        throw error;
+      }
+      await updateMailbox(req.mailbox.mailboxId, (mailbox) => {
+        mailbox.accessTokens = (mailbox.accessTokens || []).filter(
+          (item) => item.id !== req.params.tokenId
+        );
+      });
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // 404 handler for non-API routes (must come before error handler)
 app.use((req, res) => {
   // In serverless environment, return JSON 404 for all non-matched routes
   res.status(404).json({
     error: "Not found",
     status: 404,
+    requestId: req.id,
     message: "This is an API-only backend. Use /api/* endpoints.",
     path: req.path,
-    availableEndpoints: [
-      "GET /api/health",
-      "POST /api/mailboxes",
-      "GET /api/mailboxes/:mailboxId",
-      "GET /api/mailboxes/:mailboxId/messages",
-      "POST /api/mailboxes/:mailboxId/extend",
-    ],
+    availableEndpoints: listOperations(openApiDocument),
   });
 });
 
@@ -965,18 +1690,19 @@ app.use((err, req, res, _next) => {
 
   // Log full error details server-side for debugging
   if (status >= 500) {
-    console.error("[Server Error]", {
+    logger.error("[Server Error]", {
       path: req.path,
       method: req.method,
-      message: err.message,
-      status: err.status,
-      stack: err.stack?.split("\n").slice(0, 10).join("\n"),
+      error: err,
     });
   }
 
   res.status(status).json({
     error: errorMessage,
     status,
+    requestId: req.id,
+    ...(err.details ? { details: err.details } : {}),
+    ...(err.suggestions ? { suggestions: err.suggestions } : {}),
   });
 });
 
@@ -1001,17 +1727,19 @@ if (isProduction) {
 // Export for Vercel serverless functions
 export default app;
 
-// Start server only if not in serverless environment (local development)
-if (!isVercel) {
+// Start server only when run directly and not in a serverless environment;
+// tests import the app and listen on a port of their own
+const isEntryPoint =
+  Boolean(process.argv[1]) && path.resolve(process.argv[1]) === __filename;
+if (!isVercel && isEntryPoint) {
   app.listen(PORT, () => {
-    console.log(`Temp mail service listening on http://localhost:${PORT}`);
-    console.log(`Environment: ${isProduction ? "production" : "development"}`);
-    if (isProduction) {
-      console.log(
-        `CORS Origin: ${
-          CORS_ORIGIN === "*" ? "All origins allowed" : CORS_ORIGIN
-        }`
-      );
-    }
+    logger.info("Temp mail service listening", {
+      url: `http://localhost:${PORT}`,
+      environment: isProduction ? "production" : "development",
+      ...(isProduction && {
+        corsOrigin: CORS_ORIGIN === "*" ? "All origins allowed" : CORS_ORIGIN,
+      }),
+    });
   });
+  startSmtpReceiver();
 }
@@ -0,0 +1,287 @@
+import crypto from "crypto";
+import path from "path";
+import { promises as fs } from "fs";
+import { logger } from "./logger.js";
+
+// Mailbox record storage. Every store exposes the same async interface:
+//   get(id) -> record | null, set(id, record), delete(id), list() -> records, count()
+
+const ENCRYPTED_PREFIX = "enc:v1:";
+
+// Record fields that hold credentials and are encrypted at rest
+const SECRET_FIELDS = ["password", "token", "refreshToken", "webhookSecret"];
+
+const createCipherKey = (secret) =>
+  crypto.createHash("sha256").update(String(secret)).digest();
+
+const encryptValue = (key, value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf8"),
+    cipher.final(),
+  ]);
+  const tag = cipher.getAuthTag();
+  return `${ENCRYPTED_PREFIX}${iv.toString("base64")}:${tag.toString(
+    "base64"
+  )}:${ciphertext.toString("base64")}`;
+};
+
+const decryptValue = (key, value) => {
+  if (typeof value !== "string" || !value.startsWith(ENCRYPTED_PREFIX)) {
+    return value;
+  }
+  const [iv, tag, ciphertext] = value
+    .slice(ENCRYPTED_PREFIX.length)
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  const plaintext = Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString("utf8");
+  return JSON.parse(plaintext);
+};
+
+// JSON text with the secret fields encrypted, and back
+const createRecordCodec = (secret, secretFields) => {
+  const key = createCipherKey(secret);
+  return {
+    serialize: (record) => {
+      const stored = { ...record };
+      secretFields.forEach((field) => {
+        if (stored[field] !== undefined && stored[field] !== null) {
+          stored[field] = encryptValue(key, stored[field]);
+        }
+      });
+      return JSON.stringify(stored);
+    },
+    deserialize: (text) => {
+      const record = JSON.parse(text);
+      secretFields.forEach((field) => {
+        if (record[field] !== undefined) {
+          record[field] = decryptValue(key, record[field]);
+        }
+      });
+      return record;
+    },
+  };
+};
+
+export const createMemoryStore = () => {
+  const records = new Map();
+  return {
+    kind: "memory",
+    get: async (id) => records.get(id) || null,
+    set: async (id, record) => {
+      records.set(id, record);
+    },
+    delete: async (id) => {
+      records.delete(id);
+    },
+    list: async () => [...records.values()],
+    count: async () => records.size,
+  };
+};
+
+// One JSON file per mailbox, so several processes sharing the directory
+// (restarts, deploys, multiple instances on one volume) see the same records
+export const createFileStore = ({
+  directory,
+  secret,
+  secretFields = SECRET_FIELDS,
+}) => {
+  if (!secret) {
+    throw new Error(
+      "MAILBOX_STORE_KEY must be set to encrypt credentials in the file store"
+    );
+  }
+  const { serialize, deserialize } = createRecordCodec(secret, secretFields);
+  let ready = null;
+
+  const ensureDirectory = () => {
+    if (!ready) {
+      ready = fs.mkdir(directory, { recursive: true });
+    }
+    return ready;
+  };
+
+  // Ids come from URLs, so only allow plain identifiers as file names
+  const recordPath = (id) => {
+    if (!/^[A-Za-z0-9-]+$/.test(String(id))) return null;
+    return path.join(directory, `${id}.json`);
+  };
+
+  const readRecord = async (filePath) => {
+    try {
+      return deserialize(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      logger.error("[Store Read Error]", { filePath, message: error.message });
+      return null;
+    }
+  };
+
+  return {
+    kind: "file",
+    get: async (id) => {
+      const filePath = recordPath(id);
+      if (!filePath) return null;
+      await ensureDirectory();
+      return readRecord(filePath);
+    },
+    set: async (id, record) => {
+      const filePath = recordPath(id);
+      if (!filePath) throw new Error(`Invalid record id "${id}"`);
+      await ensureDirectory();
+      // Write to a temp file first so readers never see a partial record
+      const tempPath = `${filePath}.${process.pid}.${crypto
+        .randomBytes(4)
+        .toString("hex")}.tmp`;
+      await fs.writeFile(tempPath, serialize(record), { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+    },
+    delete: async (id) => {
+      const filePath = recordPath(id);
+      if (!filePath) return;
+      await fs.rm(filePath, { force: true });
+    },
+    list: async () => {
+      await ensureDirectory();
+      const files = (await fs.readdir(directory)).filter((file) =>
+        file.endsWith(".json")
+      );
+      const records = await Promise.all(
+        files.map((file) => readRecord(path.join(directory, file)))
+      );
+      return records.filter(Boolean);
+    },
+    count: async () => {
+      await ensureDirectory();
+      const files = await fs.readdir(directory);
+      return files.filter((file) => file.endsWith(".json")).length;
+    },
+  };
+};
+
+// One Redis hash per collection, spoken to over the Upstash-style REST API
+// (Upstash, Vercel KV), so serverless instances share records without a
+// connection pool. Each command is a POST of ["HSET", key, ...] to the URL.
+export const createRedisStore = ({
+  url,
+  token,
+  secret,
+  collection = "mailboxes",
+  keyPrefix = "tempmail",
+  secretFields = SECRET_FIELDS,
+  timeoutMs = 10 * 1000,
+  fetch = globalThis.fetch,
+}) => {
+  if (!url || !token) {
+    throw new Error(
+      "REDIS_REST_URL and REDIS_REST_TOKEN must be set for the redis store"
+    );
+  }
+  if (!secret) {
+    throw new Error(
+      "MAILBOX_STORE_KEY must be set to encrypt credentials in the redis store"
+    );
+  }
+  const { serialize, deserialize } = createRecordCodec(secret, secretFields);
+  const hashKey = `${keyPrefix}:${collection}`;
+
+  const command = async (...args) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || payload.error) {
+      throw new Error(
+        `Redis ${args[0]} failed: ${payload.error || `HTTP ${response.status}`}`
+      );
+    }
+    return payload.result;
+  };
+
+  const readRecord = (id, text) => {
+    try {
+      return deserialize(text);
+    } catch (error) {
+      logger.error("[Store Read Error]", { id, message: error.message });
+      return null;
+    }
+  };
+
+  return {
+    kind: "redis",
+    get: async (id) => {
+      const text = await command("HGET", hashKey, String(id));
+      return text ? readRecord(id, text) : null;
+    },
+    set: async (id, record) => {
+      await command("HSET", hashKey, String(id), serialize(record));
+    },
+    delete: async (id) => {
+      await command("HDEL", hashKey, String(id));
+    },
+    list: async () => {
+      const values = (await command("HVALS", hashKey)) || [];
+      return values.map((text) => readRecord(null, text)).filter(Boolean);
+    },
+    count: async () => Number(await command("HLEN", hashKey)) || 0,
+  };
+};
+
+const isServerless = Boolean(
+  process.env.VERCEL === "1" || process.env.AWS_LAMBDA_FUNCTION_NAME
+);
+let warnedAboutMemoryStore = false;
+
+// Other record collections ("cleanup", ...) live next to the mailboxes
+// directory (or hash) and share its backend and encryption key
+export const createMailboxStore = (collection = "mailboxes") => {
+  const kind = (process.env.MAILBOX_STORE || "memory").toLowerCase();
+  if (kind === "redis") {
+    return createRedisStore({
+      url: process.env.REDIS_REST_URL || process.env.KV_REST_API_URL,
+      token: process.env.REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN,
+      secret: process.env.MAILBOX_STORE_KEY,
+      collection,
+      keyPrefix: process.env.REDIS_KEY_PREFIX || undefined,
+    });
+  }
+  if (kind === "file") {
+    const mailboxDirectory = path.resolve(
+      process.env.MAILBOX_STORE_DIR || "./data/mailboxes"
+    );
+    return createFileStore({
+      directory:
+        collection === "mailboxes"
+          ? mailboxDirectory
+          : path.join(path.dirname(mailboxDirectory), collection),
+      secret: process.env.MAILBOX_STORE_KEY,
+    });
+  }
+  if (kind !== "memory") {
+    throw new Error(
+      `Unknown MAILBOX_STORE "${kind}" (use memory, file or redis)`
+    );
+  }
+  // Each serverless instance has its own memory and loses it on a cold
+  // start, so mailboxes would vanish between requests
+  if (isServerless && !warnedAboutMemoryStore) {
+    warnedAboutMemoryStore = true;
+    logger.warn("[Store] Memory store on serverless", {
+      message:
+        "Mailboxes are lost on cold starts and not shared between instances; set MAILBOX_STORE=redis with REDIS_REST_URL, REDIS_REST_TOKEN and MAILBOX_STORE_KEY",
+    });
+  }
+  return createMemoryStore();
+};
@@ -0,0 +1,262 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers.js";
+
+// The app provisions against the in-process mail.tm mock
+const { runCleanupSweep, url, request, admin } = await startApp({
+  MAIL_TM_DOMAIN_PRIORITY: "mail.tm,elyxstore.com",
+});
+const { default: dayjs } = await import("dayjs");
+
+test("creates a mailbox and lists an injected message", async () => {
+  const created = await request("/api/mailboxes", {
+    method: "POST",
+    body: {},
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.provider, "mailtm");
+  assert.ok(created.body.accessToken);
+
+  const injected = await admin("/messages", {
+    to: created.body.address,
+    from: "noreply@example.org",
+    subject: "Verify your account",
+    text: "Your code is 482913",
+  });
+  assert.equal(injected.status, 201);
+
+  const { status, body } = await request(
+    `/api/mailboxes/${created.body.mailboxId}/messages`,
+    { token: created.body.accessToken }
+  );
+  assert.equal(status, 200);
+  assert.equal(body.messages.length, 1);
+  assert.equal(body.messages[0].subject, "Verify your account");
+  assert.equal(body.messages[0].extracted.codes[0].value, "482913");
+});
+
+test("waits for a subject matching a regular expression", async () => {
+  const created = await request("/api/mailboxes", {
+    method: "POST",
+    body: {},
+  });
+  const { mailboxId, accessToken: token, address } = created.body;
+  await admin("/messages", {
+    to: address,
+    subject: `Your login code ${"a".repeat(60)}!`,
+  });
+
+  const wait = (subject) =>
+    request(
+      `/api/mailboxes/${mailboxId}/messages/wait?timeout=0.1&subject=${encodeURIComponent(
+        subject
+      )}`,
+      { token }
+    );
+  const found = await wait("^your (login|sign-in) CODE\\b");
+  assert.equal(found.status, 200);
+  assert.match(found.body.message.subject, /^Your login code/);
+
+  // Would backtrack for minutes in RegExp; answers before the timeout here
+  const startedAt = Date.now();
+  const pattern = await wait("(a+)+$");
+  assert.equal(pattern.status, 408);
+  assert.ok(Date.now() - startedAt < 2000);
+
+  const unsupported = await wait("(a)\\1");
+  assert.equal(unsupported.status, 400);
+  assert.match(unsupported.body.error, /unsupported escape/);
+});
+
+test("checks the mailbox token of a logged-in user who is not the owner", async () => {
+  const signup = await request("/api/auth/signup", {
+    method: "POST",
+    body: { email: "reader@example.org", password: "correct horse battery" },
+  });
+  assert.equal(signup.status, 201);
+  const created = await request("/api/mailboxes", {
+    method: "POST",
+    body: {},
+  });
+  const { mailboxId, accessToken } = created.body;
+  const session = signup.body.token;
+
+  const withoutToken = await request(`/api/mailboxes/${mailboxId}`, {
+    token: session,
+  });
+  assert.equal(withoutToken.status, 401);
+  const withToken = await request(`/api/mailboxes/${mailboxId}`, {
+    token: session,
+    headers: { "X-Mailbox-Token": accessToken },
+  });
+  assert.equal(withToken.status, 200);
+  assert.equal(withToken.body.mailboxId, mailboxId);
+});
+
+test("creates a mailbox while the first domain tried is rate limited", async () => {
+  await admin("/faults", { status: 429, path: "/accounts", times: 1 });
+  const created = await request("/api/mailboxes", {
+    method: "POST",
+    body: {},
+  });
+  assert.equal(created.status, 201);
+});
+
+test("answers 500 with a request id when every domain fails", async () => {
+  await admin("/faults", { status: 500, path: "/accounts" });
+  try {
+    const { status, body } = await request("/api/mailboxes", {
+      method: "POST",
+      body: {},
+    });
+    assert.equal(status, 500);
+    assert.match(body.error, /Unable to allocate mailbox/);
+    assert.ok(body.requestId);
+  } finally {
+    await request("/_mock/mailtm/_admin/faults", { method: "DELETE" });
+  }
+});
+
+test("restores a mailbox with its recovery secret only", async () => {
+  const created = await request("/api/mailboxes", {
+    method: "POST",
+    body: {},
+  });
+  const { address, recoverySecret, mailboxId } = created.body;
+  assert.match(recoverySecret, /^rec_[0-9a-f]{48}$/);
+
+  const wrong = await request("/api/mailboxes/restore", {
+    method: "POST",
+    body: { address, recoverySecret: `rec_${"0".repeat(48)}` },
+  });
+  assert.equal(wrong.status, 401);
+
+  const restored = await request("/api/mailboxes/restore", {
+    method: "POST",
+    body: { address, recoverySecret },
+  });
+  assert.equal(restored.status, 201);
+  assert.equal(restored.body.address, address);
+  assert.notEqual(restored.body.mailboxId, mailboxId);
+
+  // The same secret keeps working for the restored mailbox
+  const again = await request("/api/mailboxes/restore", {
+    method: "POST",
+    body: { address, recoverySecret },
+  });
+  assert.equal(again.status, 201);
+});
+
+// Sweeps as if time had passed, so it expires every mailbox created above
+test("restores an expired mailbox until the grace period ends", async () => {
+  const created = await request("/api/mailboxes", {
+    method: "POST",
+    body: { ttlMinutes: 10 },
+  });
+  const { address, recoverySecret, mailboxId, accessToken } = created.body;
+  const restore = () =>
+    request("/api/mailboxes/restore", {
+      method: "POST",
+      body: { address, recoverySecret },
+    });
+
+  await runCleanupSweep(dayjs().add(1, "hour"));
+  const expired = await request(`/api/mailboxes/${mailboxId}`, {
+    token: accessToken,
+  });
+  assert.equal(expired.status, 404);
+  const restored = await restore();
+  assert.equal(restored.status, 201);
+  assert.equal(restored.body.address, address);
+
+  // Past the grace period the upstream account is deleted for good
+  await runCleanupSweep(dayjs().add(3, "day"));
+  assert.equal((await restore()).status, 401);
+});
+
+test("proxies remote images only up to the documented URL length", async () => {
+  const created = await request("/api/mailboxes", {
+    method: "POST",
+    body: {},
+  });
+  const { mailboxId, accessToken: token, address } = created.body;
+  const longUrl = `https://images.example.org/${"a".repeat(2100)}.png`;
+  await admin("/messages", {
+    to: address,
+    subject: "Newsletter",
+    html: `<img src="https://images.example.org/logo.png" alt="logo"><img src="${longUrl}" alt="long">`,
+  });
+
+  const list = await request(`/api/mailboxes/${mailboxId}/messages`, { token });
+  const { status, body } = await request(
+    `/api/mailboxes/${mailboxId}/messages/${list.body.messages[0].id}?remoteContent=true`,
+    { token }
+  );
+  assert.equal(status, 200);
+  const sources = [...body.message.safeHtml.matchAll(/src="([^"]*)"/g)].map(
+    ([, src]) => src
+  );
+  assert.equal(sources.length, 1);
+  assert.match(sources[0], /^\/api\/proxy\/image\?url=/);
+});
+
+// Reads server-sent events until `count` of them have arrived
+const readEvents = async (path, { token, headers = {}, count }) => {
+  const controller = new AbortController();
+  const response = await fetch(url(path), {
+    headers: { Authorization: `Bearer ${token}`, ...headers },
+    signal: controller.signal,
+  });
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = "";
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const fields = Object.fromEntries(
+        block
+          .split("\n")
+          .filter((line) => /^(id|event|data):/.test(line))
+          .map((line) => [
+            line.slice(0, line.indexOf(":")),
+            line.slice(line.indexOf(":") + 1).trim(),
+          ])
+      );
+      if (fields.event) events.push(fields);
+    }
+    if (events.length >= count) break;
+  }
+  controller.abort();
+  return events;
+};
+
+test("replays messages missed between stream reconnects", async () => {
+  const created = await request("/api/mailboxes", {
+    method: "POST",
+    body: {},
+  });
+  const { mailboxId, accessToken: token, address } = created.body;
+  const streamPath = `/api/mailboxes/${mailboxId}/stream`;
+
+  const [ready] = await readEvents(streamPath, { token, count: 1 });
+  assert.equal(ready.event, "mailbox.ready");
+  assert.ok(ready.id);
+
+  // Arrives while the client is disconnected
+  await admin("/messages", { to: address, subject: "During the gap" });
+
+  const resumed = await readEvents(streamPath, {
+    token,
+    headers: { "Last-Event-ID": ready.id },
+    count: 2,
+  });
+  assert.deepEqual(
+    resumed.map(({ event }) => event),
+    ["mailbox.ready", "message.new"]
+  );
+  assert.equal(JSON.parse(resumed[1].data).message.subject, "During the gap");
+  assert.notEqual(resumed[1].id, ready.id);
+});
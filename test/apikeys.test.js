@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers.js";
+
+const { request } = await startApp({
+  API_KEYS: JSON.stringify([
+    { id: "rate", key: "rate-key", rateLimit: 3 },
+    { id: "active", key: "active-key", maxMailboxes: 1 },
+    { id: "daily", key: "daily-key", dailyCreations: 1 },
+  ]),
+});
+
+const createMailbox = (apiKey) =>
+  request("/api/mailboxes", { method: "POST", apiKey, body: {} });
+
+test("returns 429 once a key exceeds its request rate", async () => {
+  for (let count = 1; count <= 3; count += 1) {
+    const { status, headers } = await request("/api/domains", {
+      apiKey: "rate-key",
+    });
+    assert.equal(status, 200);
+    assert.equal(headers.get("ratelimit-remaining"), String(3 - count));
+  }
+  const limited = await request("/api/domains", { apiKey: "rate-key" });
+  assert.equal(limited.status, 429);
+  assert.match(limited.body.error, /request limit/);
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+});
+
+test("returns 429 once a key has its maximum of active mailboxes", async () => {
+  const first = await createMailbox("active-key");
+  assert.equal(first.status, 201);
+  assert.equal(first.headers.get("x-quota-mailboxes-remaining"), "0");
+
+  const second = await createMailbox("active-key");
+  assert.equal(second.status, 429);
+  assert.match(second.body.error, /1 active mailboxes/);
+
+  // Deleting the mailbox frees the slot
+  await request(`/api/mailboxes/${first.body.mailboxId}`, {
+    method: "DELETE",
+    token: first.body.accessToken,
+  });
+  assert.equal((await createMailbox("active-key")).status, 201);
+});
+
+test("returns 429 once a key has used its daily creations", async () => {
+  const first = await createMailbox("daily-key");
+  assert.equal(first.status, 201);
+  await request(`/api/mailboxes/${first.body.mailboxId}`, {
+    method: "DELETE",
+    token: first.body.accessToken,
+  });
+
+  const second = await createMailbox("daily-key");
+  assert.equal(second.status, 429);
+  assert.match(second.body.error, /1 mailboxes per day/);
+});
+
+test("rejects an unknown key instead of falling back to the IP limiter", async () => {
+  const { status } = await request("/api/domains", { apiKey: "unknown-key" });
+  assert.equal(status, 401);
+});
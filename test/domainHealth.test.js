@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "silent";
+
+const { createDomainHealth } = await import("../providers/domainHealth.js");
+
+// A breaker on a clock the test moves by hand
+const createHealth = () => {
+  const clock = { now: Date.parse("2024-01-01T00:00:00Z") };
+  const health = createDomainHealth({
+    failureThreshold: 3,
+    baseCooldownMs: 1000,
+    rateLimitCooldownMs: 5000,
+    maxCooldownMs: 60 * 1000,
+    now: () => clock.now,
+  });
+  const cooldownOf = (domain) =>
+    Date.parse(health.describe(domain).cooldownUntil) - clock.now;
+  return { health, clock, cooldownOf };
+};
+
+const serverError = { status: 503 };
+
+test("opens the circuit on a 429 right away", () => {
+  const { health, cooldownOf } = createHealth();
+  health.recordFailure("a.test", { status: 429 });
+  assert.equal(health.describe("a.test").circuit, "open");
+  assert.equal(health.describe("a.test").status, "cooling_down");
+  assert.equal(cooldownOf("a.test"), 5000);
+});
+
+test("opens the circuit after the failure threshold", () => {
+  const { health, cooldownOf } = createHealth();
+  health.recordFailure("a.test", serverError);
+  health.recordFailure("a.test", serverError);
+  assert.equal(health.describe("a.test").circuit, "closed");
+  health.recordFailure("a.test", serverError);
+  assert.equal(health.describe("a.test").circuit, "open");
+  assert.equal(cooldownOf("a.test"), 1000);
+});
+
+test("doubles the cooldown when a half-open trial fails", () => {
+  const { health, clock, cooldownOf } = createHealth();
+  for (let count = 0; count < 3; count += 1) {
+    health.recordFailure("a.test", serverError);
+  }
+  assert.equal(cooldownOf("a.test"), 1000);
+
+  clock.now += 1000;
+  assert.equal(health.describe("a.test").circuit, "half_open");
+  health.recordFailure("a.test", serverError);
+  assert.equal(health.describe("a.test").circuit, "open");
+  assert.equal(cooldownOf("a.test"), 2000);
+
+  clock.now += 2000;
+  health.recordFailure("a.test", serverError);
+  assert.equal(cooldownOf("a.test"), 4000);
+
+  // A successful trial closes it and resets the backoff
+  clock.now += 4000;
+  health.recordSuccess("a.test");
+  assert.equal(health.describe("a.test").circuit, "closed");
+  for (let count = 0; count < 3; count += 1) {
+    health.recordFailure("a.test", serverError);
+  }
+  assert.equal(cooldownOf("a.test"), 1000);
+});
+
+test("skips open domains and tries the one reopening first when all are open", () => {
+  const { health, clock } = createHealth();
+  health.recordFailure("slow.test", { status: 429 }); // open for 5s
+  assert.deepEqual(health.rank(["slow.test", "ok.test"]), ["ok.test"]);
+
+  clock.now += 1000;
+  for (let count = 0; count < 3; count += 1) {
+    health.recordFailure("ok.test", serverError); // open for 1s
+  }
+  assert.deepEqual(health.rank(["slow.test", "ok.test"]), [
+    "ok.test",
+    "slow.test",
+  ]);
+
+  // Once a cooldown ends the domain is offered again for its trial
+  clock.now += 1000;
+  assert.deepEqual(health.rank(["slow.test", "ok.test"]), ["ok.test"]);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { startApp } from "./helpers.js";
+
+// A lifetime cap equal to the mailbox TTL clamps every extension to it
+const { request } = await startApp({
+  MAILBOX_MAX_LIFETIME_MINUTES: "10",
+  MAILBOX_MAX_EXTENSIONS: "2",
+  MAILBOX_EXTENSION_COOLDOWN_SECONDS: "1",
+});
+
+test("extends up to the lifetime cap, the cooldown and the extension limit", async () => {
+  const created = await request("/api/mailboxes", {
+    method: "POST",
+    body: { ttlMinutes: 10 },
+  });
+  assert.equal(created.status, 201);
+  const { mailboxId, accessToken: token, maxExpiresAt } = created.body;
+  assert.equal(created.body.extensionsRemaining, 2);
+  const extend = () =>
+    request(`/api/mailboxes/${mailboxId}/extend`, { method: "POST", token });
+
+  const first = await extend();
+  assert.equal(first.status, 200);
+  assert.equal(first.body.expiresAt, maxExpiresAt);
+  assert.equal(first.body.maxExpiresAt, maxExpiresAt);
+  assert.equal(first.body.extensionsRemaining, 1);
+
+  const tooSoon = await extend();
+  assert.equal(tooSoon.status, 429);
+  assert.match(tooSoon.body.error, /extended recently/);
+  assert.equal(tooSoon.headers.get("retry-after"), "1");
+
+  await sleep(1100);
+  const second = await extend();
+  assert.equal(second.status, 200);
+  assert.equal(second.body.expiresAt, maxExpiresAt);
+  assert.equal(second.body.extensionsRemaining, 0);
+
+  await sleep(1100);
+  const exhausted = await extend();
+  assert.equal(exhausted.status, 409);
+  assert.match(exhausted.body.error, /more than 2 time/);
+
+  const { body } = await request(`/api/mailboxes/${mailboxId}`, { token });
+  assert.equal(body.expiresAt, maxExpiresAt);
+  assert.equal(body.extensionsRemaining, 0);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "silent";
+
+const { extractFromMessage } = await import("../extract.js");
+
+test("finds a one-time code next to its keyword", () => {
+  const { codes } = extractFromMessage({
+    subject: "Welcome",
+    body: "Your verification code is 482913. It expires in 10 minutes.",
+  });
+  assert.equal(codes[0].value, "482913");
+  assert.equal(codes[0].type, "numeric");
+  assert.ok(codes[0].confidence >= 0.8);
+});
+
+test("skips years, prices and digits inside URLs", () => {
+  const { codes } = extractFromMessage({
+    subject: "Invoice 2024",
+    body: "Total: $4500 paid. Details at https://shop.example/orders/99887766",
+  });
+  assert.deepEqual(codes, []);
+});
+
+test("reads codes and links out of HTML", () => {
+  const { codes, magicLinks, unsubscribeLinks } = extractFromMessage({
+    subject: "Sign in",
+    html: `<html><head><style>p { color: #123456 }</style></head><body>
+      <p>Your login code:</p><p><b>AB12CD</b></p>
+      <p><a href="https://app.example/auth/magic?token=Zm9vYmFyYmF6cXV4cXV1eA&amp;next=%2F">Sign in</a></p>
+      <p><a href='https://mail.example/u/1'>Unsubscribe</a></p>
+      <script>var code = 999999;</script>
+    </body></html>`,
+  });
+  assert.deepEqual(
+    codes.map(({ value }) => value),
+    ["AB12CD"]
+  );
+  assert.equal(
+    magicLinks[0].url,
+    "https://app.example/auth/magic?token=Zm9vYmFyYmF6cXV4cXV1eA&next=%2F"
+  );
+  assert.equal(magicLinks[0].text, "Sign in");
+  assert.deepEqual(unsubscribeLinks, [
+    {
+      url: "https://mail.example/u/1",
+      text: "Unsubscribe",
+      confidence: 0.7,
+    },
+  ]);
+});
+
+test("detects unsubscribe links by URL and plain-text magic links", () => {
+  const { magicLinks, unsubscribeLinks } = extractFromMessage({
+    body: "Confirm your account: https://example.org/verify/abc123.\nhttps://example.org/optout?u=1",
+  });
+  assert.equal(magicLinks[0].url, "https://example.org/verify/abc123");
+  assert.equal(unsubscribeLinks[0].url, "https://example.org/optout?u=1");
+});
+
+test("stays linear on unclosed anchors", () => {
+  const html = '<a href="http://x.com/a">'.repeat(8000); // ~200 KB
+  const started = process.hrtime.bigint();
+  const { magicLinks, unsubscribeLinks } = extractFromMessage({ html });
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+  assert.ok(elapsedMs < 500, `took ${elapsedMs} ms`);
+  assert.deepEqual(magicLinks, []);
+  assert.deepEqual(unsubscribeLinks, []);
+});
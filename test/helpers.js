@@ -0,0 +1,55 @@
+import { after } from "node:test";
+
+// Imports the app against the in-process mail.tm mock (plus any extra `env`,
+// which must be set before server.js reads it) and serves it on a free port
+// for the duration of the calling test file
+export const startApp = async (env = {}) => {
+  Object.assign(process.env, {
+    MAIL_TM_BASE_URL: "mock",
+    MAIL_TM_DOMAIN_PRIORITY: "mail.tm",
+    MAIL_PROVIDERS: "mailtm",
+    LOG_LEVEL: "silent",
+    ...env,
+  });
+  const { default: app, ...exports } = await import("../server.js");
+
+  // Listening right away (not in a before hook) lets the caller's own hooks
+  // and top-level code use the helpers below
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const url = (path) => `${baseUrl}${path}`;
+
+  // JSON in and out; `raw` sends a body as-is (still labelled JSON)
+  const request = async (
+    path,
+    { method = "GET", token, apiKey, body, raw, headers = {} } = {}
+  ) => {
+    const hasBody = body !== undefined || raw !== undefined;
+    const response = await fetch(url(path), {
+      method,
+      headers: {
+        ...(hasBody ? { "Content-Type": "application/json" } : {}),
+        ...(apiKey ? { "X-API-Key": apiKey } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: raw ?? (body !== undefined ? JSON.stringify(body) : undefined),
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : null,
+    };
+  };
+
+  // The mock's admin routes: /messages, /faults, /reset, ...
+  const admin = (path, body) =>
+    request(`/_mock/mailtm/_admin${path}`, { method: "POST", body });
+
+  return { app, ...exports, url, request, admin };
+};
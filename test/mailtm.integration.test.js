@@ -0,0 +1,112 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "silent";
+
+const { createMailTmProvider } = await import("../providers/mailtm.js");
+const { createMockMailTm } = await import("../providers/mailtmMock.js");
+
+const DOMAINS = ["mail.tm", "elyxstore.com"];
+
+let mock;
+let provider;
+
+// Fresh mock and provider per test, so domain health never carries over
+beforeEach(() => {
+  mock = createMockMailTm({ domains: DOMAINS });
+  provider = createMailTmProvider({
+    name: "mailtm",
+    baseUrl: "http://mailtm.mock",
+    preferredDomains: DOMAINS,
+    fetch: mock.fetch,
+    timeoutMs: 200,
+    retryBaseDelayMs: 1,
+  });
+});
+
+const accountRequests = () =>
+  mock
+    .getRequests()
+    .filter(({ method, path }) => method === "POST" && path === "/accounts");
+
+const domainOf = (address) => address.split("@")[1];
+
+test("provisions an account and reads a delivered message", async () => {
+  const mailbox = await provider.provision();
+  assert.ok(DOMAINS.includes(mailbox.domain));
+  assert.ok(mailbox.token);
+
+  mock.inject({ to: mailbox.address, subject: "Your code", text: "123456" });
+  const { messages, total } = await provider.listMessages(mailbox);
+  assert.equal(total, 1);
+  assert.equal(messages[0].subject, "Your code");
+
+  const message = await provider.getMessage(mailbox, messages[0].id);
+  assert.match(message.body, /123456/);
+});
+
+test("rotates to another domain when the first one is rate limited", async () => {
+  mock.addFault({ status: 429, method: "POST", path: "/accounts", times: 1 });
+  const mailbox = await provider.provision();
+
+  const [limited, created] = accountRequests();
+  assert.notEqual(domainOf(limited.address), domainOf(created.address));
+  assert.equal(mailbox.domain, domainOf(created.address));
+});
+
+test("falls through to the next domain on server errors", async () => {
+  mock.addFault({ status: 500, path: "/accounts", domain: "mail.tm" });
+  const mailbox = await provider.provision();
+  assert.equal(mailbox.domain, "elyxstore.com");
+});
+
+test("reports rate limiting once every domain answers 429", async () => {
+  mock.addFault({ status: 429, path: "/accounts" });
+  await assert.rejects(provider.provision(), /rate-limited/);
+  assert.equal(accountRequests().length, DOMAINS.length);
+});
+
+test("uses the preferred list when /domains returns a NOT_FOUND page", async () => {
+  mock.addFault({ status: "not_found", path: "/domains" });
+  const mailbox = await provider.provision();
+  assert.ok(DOMAINS.includes(mailbox.domain));
+});
+
+test("uses the preferred list when /domains times out", async () => {
+  mock.addFault({ status: "timeout", path: "/domains" });
+  const mailbox = await provider.provision();
+  assert.ok(DOMAINS.includes(mailbox.domain));
+  // The first attempt and its retries all hit the timeout
+  assert.ok(
+    mock.getRequests().filter(({ path }) => path === "/domains").length > 1
+  );
+});
+
+test("surfaces a NOT_FOUND page on a requested domain as unavailable", async () => {
+  mock.addFault({ status: "not_found", path: "/accounts" });
+  await assert.rejects(provider.provision("mail.tm"), (error) => {
+    assert.equal(error.status, 404);
+    assert.match(error.message, /temporarily unavailable/);
+    return true;
+  });
+});
+
+test("rejects a taken local part with 409 and suggestions", async () => {
+  await provider.provision("mail.tm", { localPart: "alice" });
+  await assert.rejects(
+    provider.provision("mail.tm", { localPart: "alice" }),
+    (error) => {
+      assert.equal(error.status, 409);
+      assert.ok(error.suggestions.length > 0);
+      return true;
+    }
+  );
+});
+
+test("rejects a domain the API does not offer", async () => {
+  await assert.rejects(provider.provision("example.org"), (error) => {
+    assert.equal(error.status, 422);
+    assert.deepEqual(error.availableDomains, DOMAINS);
+    return true;
+  });
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { classifyHost, isPrivateHost } = await import("../network.js");
+
+test("treats private, mapped and shared address ranges as private", () => {
+  for (const host of [
+    "127.0.0.1",
+    "10.20.30.40",
+    "172.16.0.1",
+    "100.64.0.1",
+    "169.254.169.254",
+    "[::1]",
+    "::ffff:127.0.0.1",
+    // new URL() rewrites mapped IPv4 into hex groups
+    new URL("http://[::ffff:10.0.0.1]/").hostname,
+    "fd12:3456::1",
+    "fe80::1",
+    "localhost",
+    "api.localhost",
+  ]) {
+    assert.equal(isPrivateHost(host), true, host);
+  }
+  for (const host of ["93.184.216.34", "100.128.0.1", "2606:4700::1111"]) {
+    assert.equal(isPrivateHost(host), false, host);
+  }
+});
+
+test("classifies hosts by the addresses they resolve to", async () => {
+  assert.equal(await classifyHost("localhost"), "private");
+  assert.equal(await classifyHost("[::ffff:7f00:1]"), "private");
+  assert.equal(await classifyHost("93.184.216.34"), "public");
+  assert.equal(await classifyHost("unknown-host.invalid"), "unresolved");
+});
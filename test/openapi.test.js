@@ -0,0 +1,182 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers.js";
+
+const { app, url, request } = await startApp({ API_DOCS_ENABLED: "true" });
+const { listOperations } = await import("../openapi.js");
+const { validateSchema } = await import("../validation.js");
+const { body: document } = await request("/api/openapi.json");
+
+// Asserts the body matches the documented response for that status
+const assertDocumented = (method, template, { status, body }) => {
+  const response =
+    document.paths[template]?.[method.toLowerCase()]?.responses?.[status];
+  assert.ok(response, `${method} ${template} does not document ${status}`);
+  const schema = response.content["application/json"].schema;
+  assert.deepEqual(validateSchema(schema, body, document), []);
+};
+
+test("serves an OpenAPI 3 document listing every API route", () => {
+  assert.match(document.openapi, /^3\./);
+  const routes = app.router.stack
+    .filter((layer) => layer.route?.path.startsWith("/api/"))
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods).map(
+        (method) => `${method.toUpperCase()} ${layer.route.path}`
+      )
+    );
+  assert.deepEqual([...routes].sort(), [...listOperations(document)].sort());
+});
+
+test("mailbox and message responses match the spec", async () => {
+  const created = await request("/api/mailboxes", {
+    method: "POST",
+    body: { ttlMinutes: 10 },
+  });
+  assertDocumented("POST", "/api/mailboxes", created);
+  const { mailboxId, accessToken: token, address } = created.body;
+  const mailboxPath = `/api/mailboxes/${mailboxId}`;
+
+  assertDocumented(
+    "GET",
+    "/api/mailboxes/{mailboxId}",
+    await request(mailboxPath, { token })
+  );
+
+  await request("/_mock/mailtm/_admin/messages", {
+    method: "POST",
+    body: {
+      to: address,
+      subject: "Sign in",
+      html: '<p>Your code is 839201. <a href="https://example.org/unsubscribe">Unsubscribe</a></p>',
+    },
+  });
+
+  const list = await request(`${mailboxPath}/messages?limit=10`, { token });
+  assertDocumented("GET", "/api/mailboxes/{mailboxId}/messages", list);
+  assert.equal(list.body.messages.length, 1);
+
+  const [{ id }] = list.body.messages;
+  const template = "/api/mailboxes/{mailboxId}/messages/{messageId}";
+  assertDocumented(
+    "GET",
+    template,
+    await request(`${mailboxPath}/messages/${id}`, { token })
+  );
+  assertDocumented(
+    "PATCH",
+    template,
+    await request(`${mailboxPath}/messages/${id}`, {
+      method: "PATCH",
+      token,
+      body: { seen: true },
+    })
+  );
+  assertDocumented(
+    "GET",
+    "/api/mailboxes/{mailboxId}/messages/wait",
+    await request(`${mailboxPath}/messages/wait?timeout=1`, { token })
+  );
+});
+
+test("rejects a body that does not match the schema", async () => {
+  const { status, body } = await request("/api/mailboxes", {
+    method: "POST",
+    body: { domain: 42, ttlMinutes: "soon", mailbox: true },
+  });
+  assert.equal(status, 400);
+  assert.ok(body.requestId);
+  assert.deepEqual(body.details, [
+    { location: "body", path: "domain", message: "must be a string" },
+    { location: "body", path: "ttlMinutes", message: "must be an integer" },
+    { location: "body", path: "mailbox", message: "is not a known field" },
+  ]);
+  assert.equal(body.error, "domain must be a string");
+  assertDocumented("POST", "/api/mailboxes", { status, body });
+});
+
+test("rejects a malformed domain", async () => {
+  const { status, body } = await request("/api/mailboxes", {
+    method: "POST",
+    body: { domain: "mail.tm/../admin" },
+  });
+  assert.equal(status, 400);
+  assert.equal(body.details[0].path, "domain");
+});
+
+test("rejects bad path params and queries before the handler runs", async () => {
+  const badId = await request("/api/mailboxes/not-a-uuid/messages");
+  assert.equal(badId.status, 400);
+  assert.deepEqual(badId.body.details, [
+    { location: "path", path: "mailboxId", message: "must be a valid uuid" },
+  ]);
+
+  const mailboxId = "6f1c2a9e-0000-4000-8000-000000000000";
+  const badLimit = await request(
+    `/api/mailboxes/${mailboxId}/messages?limit=500&remoteContent=yes`
+  );
+  assert.equal(badLimit.status, 400);
+  assert.deepEqual(badLimit.body.details, [
+    { location: "query", path: "limit", message: "must be at most 100" },
+    {
+      location: "query",
+      path: "remoteContent",
+      message: "must be a boolean",
+    },
+  ]);
+});
+
+test("requires the body of routes that need one", async () => {
+  const { status, body } = await request("/api/mailboxes/restore", {
+    method: "POST",
+    body: {},
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(
+    body.details.map((issue) => issue.path),
+    ["address", "recoverySecret"]
+  );
+});
+
+test("hands the coerced query and form body to the handler", async () => {
+  const response = await fetch(url("/api/mailboxes"), {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: "ttlMinutes=10",
+  });
+  assert.equal(response.status, 201);
+  const created = await response.json();
+  assert.equal(
+    Date.parse(created.expiresAt) - Date.parse(created.createdAt),
+    10 * 60 * 1000
+  );
+
+  const { mailboxId, accessToken: token, address } = created;
+  for (const subject of ["First", "Second"]) {
+    await request("/_mock/mailtm/_admin/messages", {
+      method: "POST",
+      body: { to: address, subject, text: subject },
+    });
+  }
+  const page = await request(`/api/mailboxes/${mailboxId}/messages?limit=1`, {
+    token,
+  });
+  assert.equal(page.status, 200);
+  assert.equal(page.body.messages.length, 1);
+  assert.ok(page.body.nextCursor);
+});
+
+test("renders the docs with a pinned, integrity-checked Redoc bundle", async () => {
+  const response = await fetch(url("/api/docs"));
+  assert.equal(response.status, 200);
+  const html = await response.text();
+  const [, src] = html.match(/<script\s+src="([^"]+)"/);
+  assert.match(src, /^https:\/\/cdn\.jsdelivr\.net\/npm\/redoc@[\d.]+\//);
+  assert.match(html, /integrity="sha384-[A-Za-z0-9+/]+={0,2}"/);
+  assert.match(html, /crossorigin="anonymous"/);
+  const scriptSrc = response.headers
+    .get("content-security-policy")
+    .split(";")
+    .find((directive) => directive.trim().startsWith("script-src"));
+  assert.equal(scriptSrc.trim(), `script-src ${src}`);
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compilePattern } from "../pattern.js";
+
+// Each pattern is checked against RegExp with the "i" flag on every input
+const agreesWithRegExp = (source, inputs) => {
+  const pattern = compilePattern(source);
+  const expected = new RegExp(source, "i");
+  inputs.forEach((input) =>
+    assert.equal(
+      pattern.test(input),
+      expected.test(input),
+      `${source} on ${JSON.stringify(input)}`
+    )
+  );
+};
+
+test("matches like a case-insensitive RegExp", () => {
+  const subjects = [
+    "Your login code",
+    "your LOGIN code is 123456",
+    "Sign-in code: 42",
+    "Welcome!",
+    "",
+    "codes",
+  ];
+  agreesWithRegExp("login code", subjects);
+  agreesWithRegExp("^your (login|sign-in) code\\b", subjects);
+  agreesWithRegExp("\\d{2,6}$", subjects);
+  agreesWithRegExp("[^a-z ]", subjects);
+  agreesWithRegExp("^(?:sign|log)-?in", subjects);
+  agreesWithRegExp("co.es?\\B", subjects);
+  agreesWithRegExp("^$", subjects);
+  agreesWithRegExp("w[e-l]+come{1,}!", subjects);
+});
+
+test("stays linear on patterns that backtrack in RegExp", () => {
+  const startedAt = Date.now();
+  assert.equal(compilePattern("(a+)+$").test(`${"a".repeat(5000)}!`), false);
+  assert.equal(compilePattern("(a|aa)*b").test("a".repeat(5000)), false);
+  assert.equal(compilePattern("(a*)*c").test(`${"a".repeat(5000)}c`), true);
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test("rejects syntax outside the supported grammar", () => {
+  ["(a)\\1", "(?=a)", "(?<name>a)", "a**", "*a", "(a", "a)", "[b-a]"].forEach(
+    (source) =>
+      assert.throws(() => compilePattern(source), /Invalid pattern/, source)
+  );
+  assert.throws(() => compilePattern("a{101}"), /limited to 100/);
+  assert.throws(() => compilePattern("(a{1,100}){1,100}"), /too large/);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { sanitizeMessageHtml } = await import("../sanitize.js");
+
+test("strips scripts with their contents and iframes", () => {
+  const html = sanitizeMessageHtml(
+    '<p>Hello</p><script>alert("x")</script><iframe src="https://evil.example"></iframe><p>Bye</p>'
+  );
+  assert.equal(html, "<p>Hello</p><p>Bye</p>");
+});
+
+test("strips on* event handlers", () => {
+  const html = sanitizeMessageHtml(
+    '<p onclick="steal()">Hi</p><a href="https://example.org" onmouseover="steal()">link</a><img src="data:image/png;base64,AAAA" onerror="steal()">'
+  );
+  assert.doesNotMatch(html, /\bon\w+=/i);
+  assert.doesNotMatch(html, /steal/);
+  assert.match(html, /<p>Hi<\/p>/);
+  assert.match(html, /href="https:\/\/example\.org"/);
+});
+
+test("strips javascript: URLs however they are spelled", () => {
+  const html = sanitizeMessageHtml(
+    [
+      '<a href="javascript:alert(1)">one</a>',
+      '<a href="JaVaScRiPt:alert(1)">two</a>',
+      '<a href="java&#x09;script:alert(1)">three</a>',
+      '<a href=" javascript:alert(1)">four</a>',
+      '<img src="javascript:alert(1)">',
+    ].join("")
+  );
+  assert.doesNotMatch(html, /javascript/i);
+  assert.doesNotMatch(html, /<img/);
+  for (const text of ["one", "two", "three", "four"]) {
+    assert.match(html, new RegExp(`>${text}</a>`));
+  }
+});
+
+test("drops url() in inline styles but keeps safe styling", () => {
+  const html = sanitizeMessageHtml(
+    '<p style="color: red; background-image: url(javascript:alert(1))">Styled</p><div style="width: expression(alert(1))">x</div>'
+  );
+  assert.match(html, /color:\s*red/);
+  assert.doesNotMatch(html, /url\(|expression|javascript/i);
+});
@@ -0,0 +1,120 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import os from "os";
+import path from "path";
+import { once } from "events";
+import { promises as fs } from "fs";
+
+process.env.LOG_LEVEL = "silent";
+
+const { createFileStore } = await import("../store.js");
+const { createSmtpProvider } = await import("../providers/smtp.js");
+
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), "smtp-store-"));
+after(() => fs.rm(directory, { recursive: true, force: true }));
+
+const createStores = () => ({
+  accountStore: createFileStore({
+    directory: path.join(directory, "smtpAccounts"),
+    secret: "store-key",
+  }),
+  contentStore: createFileStore({
+    directory: path.join(directory, "smtpContent"),
+    secret: "store-key",
+  }),
+});
+
+// Speaks just enough SMTP to hand one message to the receiver
+const sendMail = async (port, { to, lines }) => {
+  const socket = net.connect(port, "127.0.0.1");
+  socket.setEncoding("utf8");
+  let buffer = "";
+  const reply = async () => {
+    // A reply ends with a "NNN " line (multi-line replies use "NNN-")
+    while (!/(^|\r\n)\d{3} [^\r\n]*\r\n$/.test(buffer)) {
+      const [chunk] = await once(socket, "data");
+      buffer += chunk;
+    }
+    const text = buffer;
+    buffer = "";
+    return Number(text.match(/(?:^|\r\n)(\d{3}) [^\r\n]*\r\n$/)[1]);
+  };
+  const command = async (line) => {
+    socket.write(`${line}\r\n`);
+    return reply();
+  };
+  assert.equal(await reply(), 220);
+  assert.equal(await command("EHLO test.local"), 250);
+  assert.equal(await command("MAIL FROM:<sender@example.com>"), 250);
+  const rcpt = await command(`RCPT TO:<${to}>`);
+  if (rcpt === 250) {
+    assert.equal(await command("DATA"), 354);
+    assert.equal(await command(`${lines.join("\r\n")}\r\n.`), 250);
+  }
+  await command("QUIT");
+  socket.destroy();
+  return rcpt;
+};
+
+test("keeps accounts and mail in the store across provider instances", async () => {
+  const first = createSmtpProvider({
+    domains: ["self.test"],
+    ...createStores(),
+  });
+  const server = first.listen({ port: 0, host: "127.0.0.1" });
+  await once(server.server, "listening");
+  const { port } = server.server.address();
+
+  const account = await first.provision("self.test");
+  assert.equal(
+    await sendMail(port, {
+      to: account.address,
+      lines: [
+        "From: sender@example.com",
+        `To: ${account.address}`,
+        "Subject: Stored",
+        "",
+        "Your code is 424242",
+      ],
+    }),
+    250
+  );
+  assert.equal(
+    await sendMail(port, { to: "nobody@self.test", lines: [] }),
+    550
+  );
+  server.close();
+
+  // A restarted (or second) instance reads the same records
+  const second = createSmtpProvider({
+    domains: ["self.test"],
+    ...createStores(),
+  });
+  const auth = await second.authenticate(account.address, account.password);
+  assert.equal(auth.accountId, account.accountId);
+  const mailbox = { address: account.address };
+  const { messages } = await second.listMessages(mailbox);
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].subject, "Stored");
+
+  const raw = await second.getRawMessage(mailbox, messages[0].id);
+  const chunks = [];
+  for await (const chunk of raw.stream) chunks.push(chunk);
+  assert.match(Buffer.concat(chunks).toString(), /Your code is 424242/);
+
+  // The password is encrypted at rest like the mailbox credentials
+  const [file] = await fs.readdir(path.join(directory, "smtpAccounts"));
+  const stored = await fs.readFile(
+    path.join(directory, "smtpAccounts", file),
+    "utf8"
+  );
+  assert.ok(!stored.includes(account.password));
+
+  await second.deleteAccount(mailbox);
+  assert.deepEqual(await fs.readdir(path.join(directory, "smtpContent")), []);
+  await assert.rejects(
+    first.authenticate(account.address, account.password),
+    (error) => error.status === 401
+  );
+});
@@ -0,0 +1,112 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+
+process.env.LOG_LEVEL = "silent";
+
+const { createFileStore, createRedisStore } = await import("../store.js");
+
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), "file-store-"));
+after(() => fs.rm(directory, { recursive: true, force: true }));
+
+// Answers the hash commands the store sends, like an Upstash REST endpoint
+const createFakeRedis = () => {
+  const hashes = new Map();
+  const commands = [];
+  const fetch = async (_url, { headers, body }) => {
+    assert.equal(headers.Authorization, "Bearer test-token");
+    const [name, key, field, value] = JSON.parse(body);
+    commands.push({ name, key, field, value });
+    const hash = hashes.get(key) || new Map();
+    hashes.set(key, hash);
+    const results = {
+      HSET: () => hash.set(field, value) && 1,
+      HGET: () => hash.get(field) ?? null,
+      HDEL: () => Number(hash.delete(field)),
+      HVALS: () => [...hash.values()],
+      HLEN: () => hash.size,
+    };
+    return new Response(JSON.stringify({ result: results[name]() }));
+  };
+  return { fetch, commands };
+};
+
+test("stores records in a redis hash with credentials encrypted", async () => {
+  const redis = createFakeRedis();
+  const store = createRedisStore({
+    url: "https://redis.example",
+    token: "test-token",
+    secret: "store-key",
+    collection: "mailboxes",
+    fetch: redis.fetch,
+  });
+  const record = { mailboxId: "a1", address: "a@mail.tm", password: "hunter2" };
+
+  await store.set("a1", record);
+  const written = redis.commands.find(({ name }) => name === "HSET");
+  assert.equal(written.key, "tempmail:mailboxes");
+  assert.doesNotMatch(written.value, /hunter2/);
+
+  assert.deepEqual(await store.get("a1"), record);
+  assert.deepEqual(await store.list(), [record]);
+  assert.equal(await store.count(), 1);
+  await store.delete("a1");
+  assert.equal(await store.get("a1"), null);
+  assert.equal(await store.count(), 0);
+});
+
+test("requires the REST endpoint and an encryption key", () => {
+  assert.throws(
+    () => createRedisStore({ url: "", token: "", secret: "key" }),
+    /REDIS_REST_URL/
+  );
+  assert.throws(
+    () => createRedisStore({ url: "https://redis.example", token: "t" }),
+    /MAILBOX_STORE_KEY/
+  );
+});
+
+test("round-trips file records with credentials encrypted on disk", async () => {
+  const store = createFileStore({ directory, secret: "store-key" });
+  const record = {
+    mailboxId: "b2",
+    address: "b@mail.tm",
+    password: "hunter2",
+    token: "secret-token",
+  };
+  await store.set("b2", record);
+
+  assert.deepEqual(await fs.readdir(directory), ["b2.json"]);
+  const written = await fs.readFile(path.join(directory, "b2.json"), "utf8");
+  assert.doesNotMatch(written, /hunter2/);
+  assert.doesNotMatch(written, /secret-token/);
+  assert.match(written, /b@mail\.tm/);
+
+  // Another store on the same directory (a restart) reads it back
+  const reopened = createFileStore({ directory, secret: "store-key" });
+  assert.deepEqual(await reopened.get("b2"), record);
+  assert.deepEqual(await reopened.list(), [record]);
+  assert.equal(await reopened.count(), 1);
+  await reopened.delete("b2");
+  assert.equal(await store.get("b2"), null);
+  assert.equal(await store.count(), 0);
+});
+
+test("rejects file record ids that are not plain identifiers", async () => {
+  const store = createFileStore({ directory, secret: "store-key" });
+  const outside = path.join(path.dirname(directory), "x.json");
+  await fs.writeFile(outside, "{}");
+  after(() => fs.rm(outside, { force: true }));
+
+  await assert.rejects(store.set("../x", { id: 1 }), /Invalid record id/);
+  assert.equal(await store.get("../x"), null);
+  await store.delete("../x");
+  assert.equal(await fs.readFile(outside, "utf8"), "{}");
+  assert.deepEqual(await fs.readdir(directory), []);
+});
+
+test("requires an encryption key for the file store", () => {
+  assert.throws(() => createFileStore({ directory }), /MAILBOX_STORE_KEY/);
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers.js";
+
+const { request } = await startApp();
+
+// A mailbox with one delivered message and a read-only token next to the
+// full-access token returned at creation
+const createSharedMailbox = async () => {
+  const created = await request("/api/mailboxes", {
+    method: "POST",
+    body: {},
+  });
+  const { mailboxId, accessToken, address } = created.body;
+  await request("/_mock/mailtm/_admin/messages", {
+    method: "POST",
+    body: { to: address, subject: "Hello", text: "Shared inbox" },
+  });
+  const issued = await request(`/api/mailboxes/${mailboxId}/tokens`, {
+    method: "POST",
+    token: accessToken,
+    body: { scope: "read" },
+  });
+  assert.equal(issued.status, 201);
+  assert.equal(issued.body.scope, "read");
+  const list = await request(`/api/mailboxes/${mailboxId}/messages`, {
+    token: accessToken,
+  });
+  return {
+    mailboxId,
+    fullToken: accessToken,
+    readToken: issued.body.token,
+    readTokenId: issued.body.id,
+    messageId: list.body.messages[0].id,
+  };
+};
+
+test("a read-only token can read but not change the mailbox", async () => {
+  const { mailboxId, readToken, messageId } = await createSharedMailbox();
+  const mailboxPath = `/api/mailboxes/${mailboxId}`;
+
+  const read = await request(`${mailboxPath}/messages/${messageId}`, {
+    token: readToken,
+  });
+  assert.equal(read.status, 200);
+
+  const refused = [
+    await request(`${mailboxPath}/messages/${messageId}`, {
+      method: "PATCH",
+      token: readToken,
+      body: { seen: true },
+    }),
+    await request(`${mailboxPath}/messages/${messageId}`, {
+      method: "DELETE",
+      token: readToken,
+    }),
+    await request(mailboxPath, { method: "DELETE", token: readToken }),
+    await request(`${mailboxPath}/extend`, {
+      method: "POST",
+      token: readToken,
+    }),
+  ];
+  for (const { status, body } of refused) {
+    assert.equal(status, 403);
+    assert.match(body.error, /read-only/);
+  }
+
+  // Nothing was changed by the refused calls
+  const unchanged = await request(`${mailboxPath}/messages/${messageId}`, {
+    token: readToken,
+  });
+  assert.equal(unchanged.status, 200);
+  assert.equal(unchanged.body.message.seen, false);
+});
+
+test("a revoked token is rejected with 401", async () => {
+  const { mailboxId, fullToken, readToken, readTokenId } =
+    await createSharedMailbox();
+  const mailboxPath = `/api/mailboxes/${mailboxId}`;
+
+  const revoked = await request(`${mailboxPath}/tokens/${readTokenId}`, {
+    method: "DELETE",
+    token: fullToken,
+  });
+  assert.equal(revoked.status, 204);
+
+  const { status, body } = await request(mailboxPath, { token: readToken });
+  assert.equal(status, 401);
+  assert.match(body.error, /Invalid or revoked/);
+  assert.equal((await request(mailboxPath, { token: fullToken })).status, 200);
+});
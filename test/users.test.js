@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers.js";
+
+const { request } = await startApp();
+
+const PASSWORD = "correct horse battery";
+
+const signup = async (email) => {
+  const { status, body } = await request("/api/auth/signup", {
+    method: "POST",
+    body: { email, password: PASSWORD },
+  });
+  assert.equal(status, 201);
+  return body.token;
+};
+
+test("login fails with a wrong password or an unknown email", async () => {
+  await signup("alice@example.org");
+
+  const wrongPassword = await request("/api/auth/login", {
+    method: "POST",
+    body: { email: "alice@example.org", password: "incorrect horse" },
+  });
+  assert.equal(wrongPassword.status, 401);
+  assert.equal(wrongPassword.body.error, "Invalid email or password");
+  assert.equal(wrongPassword.body.token, undefined);
+
+  // An unknown email answers exactly like a wrong password
+  const unknown = await request("/api/auth/login", {
+    method: "POST",
+    body: { email: "nobody@example.org", password: PASSWORD },
+  });
+  assert.equal(unknown.status, 401);
+  assert.equal(unknown.body.error, wrongPassword.body.error);
+
+  const login = await request("/api/auth/login", {
+    method: "POST",
+    body: { email: "ALICE@example.org", password: PASSWORD },
+  });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.user.email, "alice@example.org");
+});
+
+test("a session only opens the mailboxes its user owns", async () => {
+  const owner = await signup("owner@example.org");
+  const other = await signup("other@example.org");
+  const created = await request("/api/mailboxes", {
+    method: "POST",
+    token: owner,
+    body: {},
+  });
+  assert.equal(created.status, 201);
+  const mailboxPath = `/api/mailboxes/${created.body.mailboxId}`;
+
+  assert.equal((await request(mailboxPath, { token: owner })).status, 200);
+
+  const foreign = await request(mailboxPath, { token: other });
+  assert.equal(foreign.status, 401);
+  const foreignDelete = await request(mailboxPath, {
+    method: "DELETE",
+    token: other,
+  });
+  assert.equal(foreignDelete.status, 401);
+
+  const listed = await request("/api/me/mailboxes", { token: other });
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.body.mailboxes, []);
+  const owned = await request("/api/me/mailboxes", { token: owner });
+  assert.deepEqual(
+    owned.body.mailboxes.map(({ mailboxId }) => mailboxId),
+    [created.body.mailboxId]
+  );
+});
+
+test("a logged-out session is rejected", async () => {
+  const token = await signup("leaver@example.org");
+  const logout = await request("/api/auth/logout", {
+    method: "POST",
+    token,
+  });
+  assert.equal(logout.status, 204);
+  const me = await request("/api/auth/me", { token });
+  assert.equal(me.status, 401);
+});
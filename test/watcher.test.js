@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "silent";
+
+const { createInboxWatcher } = await import("../watcher.js");
+
+const message = (id, receivedAt) => ({ id, receivedAt, subject: id });
+
+// An inbox the watcher polls; newest first, like the providers return it
+const createInbox = (messages) => {
+  const inbox = [...messages];
+  return {
+    add: (item) => inbox.unshift(item),
+    fetchMessages: async () => [...inbox],
+  };
+};
+
+const nextPoll = () => new Promise((resolve) => setTimeout(resolve, 30));
+
+test("a new watch treats the inbox as seen and reports later mail", async () => {
+  const inbox = createInbox([message("a", "2026-01-01T10:00:00.000Z")]);
+  const watcher = createInboxWatcher({
+    fetchMessages: inbox.fetchMessages,
+    pollIntervalMs: 10,
+  });
+  const received = [];
+  const stop = watcher.subscribe("m1", (event) => received.push(event));
+  await nextPoll();
+  inbox.add(message("b", "2026-01-01T10:05:00.000Z"));
+  await nextPoll();
+  stop();
+  assert.deepEqual(
+    received.map(({ data }) => data.message.id),
+    ["b"]
+  );
+  assert.equal(watcher.watchedCount(), 0);
+});
+
+test("a resuming subscriber gets what arrived after its cursor", async () => {
+  const inbox = createInbox([
+    message("c", "2026-01-01T10:10:00.000Z"),
+    message("b", "2026-01-01T10:05:00.000Z"),
+    message("a", "2026-01-01T10:00:00.000Z"),
+  ]);
+  const watcher = createInboxWatcher({
+    fetchMessages: inbox.fetchMessages,
+    pollIntervalMs: 10,
+  });
+  const since = { receivedAt: "2026-01-01T10:00:00.000Z", id: "a" };
+
+  // Resuming while the watch is still seeding
+  const first = [];
+  const stopFirst = watcher.subscribe("m1", (event) => first.push(event), {
+    since,
+  });
+  await nextPoll();
+  // Resuming on a watch that is already running
+  const second = [];
+  const stopSecond = watcher.subscribe("m1", (event) => second.push(event), {
+    since: { receivedAt: "2026-01-01T10:05:00.000Z", id: "b" },
+  });
+  stopFirst();
+  stopSecond();
+
+  assert.deepEqual(
+    first.map(({ data }) => data.message.id),
+    ["b", "c"]
+  );
+  assert.deepEqual(
+    second.map(({ data }) => data.message.id),
+    ["c"]
+  );
+});
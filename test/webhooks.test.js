@@ -0,0 +1,123 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+
+process.env.LOG_LEVEL = "silent";
+
+const { createWebhookDispatcher, generateWebhookSecret, validateWebhookUrl } =
+  await import("../webhooks.js");
+
+let receiver;
+let receiverUrl;
+const received = [];
+
+// Records every delivery it gets, with the raw body the signature covers
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.end("ok");
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => new Promise((resolve) => receiver.close(resolve)));
+
+// A dispatcher over one in-memory mailbox; deliver() plays a new message
+const createHarness = ({ webhookUrl, allowPrivate }) => {
+  const mailbox = {
+    mailboxId: crypto.randomUUID(),
+    address: "reader@mail.tm",
+    webhookUrl,
+    webhookSecret: generateWebhookSecret(),
+  };
+  const listeners = [];
+  const settled = [];
+  const dispatcher = createWebhookDispatcher({
+    watcher: {
+      subscribe: (_mailboxId, listener) => {
+        listeners.push(listener);
+        return () => {};
+      },
+    },
+    getMailbox: async () => mailbox,
+    updateMailbox: async (_mailboxId, update) => {
+      update(mailbox);
+      const [latest] = mailbox.webhookDeliveries;
+      if (latest.status !== "pending") settled.push(latest);
+      return mailbox;
+    },
+    maxAttempts: 1,
+    allowPrivate,
+  });
+  dispatcher.register(mailbox);
+  const deliver = async () => {
+    listeners.forEach((listener) =>
+      listener({
+        type: "message.new",
+        data: { message: { id: "m1", subject: "Your code" } },
+      })
+    );
+    while (!settled.length) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return settled[0];
+  };
+  return { mailbox, deliver };
+};
+
+test("signs deliveries with an HMAC the receiver can verify", async () => {
+  const { mailbox, deliver } = createHarness({
+    webhookUrl: receiverUrl,
+    allowPrivate: true,
+  });
+  const delivery = await deliver();
+  assert.equal(delivery.status, "delivered");
+
+  const [{ headers, body }] = received;
+  const expected = `sha256=${crypto
+    .createHmac("sha256", mailbox.webhookSecret)
+    .update(`${headers["x-tempmail-timestamp"]}.${body}`)
+    .digest("hex")}`;
+  assert.equal(headers["x-tempmail-signature"], expected);
+  assert.equal(JSON.parse(body).message.id, "m1");
+});
+
+test("rejects webhook URLs on private hosts", () => {
+  for (const url of [
+    "http://localhost:8080/hook",
+    "http://127.0.0.1/hook",
+    "http://10.0.0.5/hook",
+    "http://100.64.0.1/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::1]/hook",
+    "http://[::ffff:127.0.0.1]/hook",
+  ]) {
+    assert.throws(
+      () => validateWebhookUrl(url),
+      (error) => error.status === 400 && /public host/.test(error.message),
+      url
+    );
+  }
+  assert.equal(
+    validateWebhookUrl("https://hooks.example.org/mail"),
+    "https://hooks.example.org/mail"
+  );
+});
+
+test("does not deliver to a host that is private at delivery time", async () => {
+  const { deliver } = createHarness({
+    webhookUrl: receiverUrl,
+    allowPrivate: false,
+  });
+  const count = received.length;
+  const delivery = await deliver();
+  assert.equal(delivery.status, "failed");
+  assert.match(delivery.lastError, /private address/);
+  assert.equal(received.length, count);
+});
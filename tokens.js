@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import dayjs from "dayjs";
+import { isSessionToken } from "./users.js";
+
+// Per-mailbox capability tokens. Only a SHA-256 hash of each token is kept on
+// the mailbox record; the token itself is shown once, when it is issued.
+//   "full" - everything, including extending, deleting and managing tokens
+//   "read" - read-only access, safe to share
+export const TOKEN_SCOPES = ["full", "read"];
+const TOKEN_PREFIX = "mbx";
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const authError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+export const issueAccessToken = (scope = "full") => {
+  if (!TOKEN_SCOPES.includes(scope)) {
+    throw authError(
+      `Token scope must be one of: ${TOKEN_SCOPES.join(", ")}`,
+      400
+    );
+  }
+  const id = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(24).toString("hex");
+  return {
+    token: `${TOKEN_PREFIX}_${id}_${secret}`,
+    record: {
+      id,
+      scope,
+      hash: hashSecret(secret),
+      createdAt: dayjs().toISOString(),
+    },
+  };
+};
+
+// X-Mailbox-Token first, so a logged-in client can send its session in
+// Authorization alongside a token for a mailbox it does not own. A Bearer
+// mailbox token still works on its own; GET requests may also pass
+// ?access_token= because EventSource and plain download links cannot set headers
+export const MAILBOX_TOKEN_HEADER = "X-Mailbox-Token";
+
+export const extractAccessToken = (req) => {
+  const mailboxHeader = req.get(MAILBOX_TOKEN_HEADER);
+  if (mailboxHeader) return mailboxHeader.trim();
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match && !isSessionToken(match[1])) return match[1];
+  if (req.method === "GET" && typeof req.query?.access_token === "string") {
+    return req.query.access_token;
+  }
+  return null;
+};
+
+// Returns the matching token record, or throws 401/403
+export const verifyAccessToken = (mailbox, token, requiredScope = "read") => {
+  if (!token) {
+    throw authError("Mailbox access token required", 401);
+  }
+  const [prefix, id, secret] = token.split("_");
+  const record =
+    prefix === TOKEN_PREFIX && secret
+      ? (mailbox.accessTokens || []).find((item) => item.id === id)
+      : null;
+  const expected = Buffer.from(record?.hash || "", "hex");
+  const actual = Buffer.from(hashSecret(secret || ""), "hex");
+  if (
+    !record ||
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw authError("Invalid or revoked mailbox access token", 401);
+  }
+  if (requiredScope === "full" && record.scope !== "full") {
+    throw authError("This access token is read-only", 403);
+  }
+  return record;
+};
+
+// Recovery secrets restore a forgotten mailbox together with its address
+// (POST /api/mailboxes/restore). Like access tokens, only the hash is kept.
+const RECOVERY_PREFIX = "rec";
+
+export const issueRecoverySecret = () => {
+  const secret = `${RECOVERY_PREFIX}_${crypto.randomBytes(24).toString("hex")}`;
+  return { secret, hash: hashSecret(secret) };
+};
+
+export const verifyRecoverySecret = (secret, hash) => {
+  if (typeof secret !== "string" || typeof hash !== "string") return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = Buffer.from(hashSecret(secret), "hex");
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+export const buildTokenResponse = (record) => ({
+  id: record.id,
+  scope: record.scope,
+  createdAt: record.createdAt,
+});
@@ -0,0 +1,178 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import dayjs from "dayjs";
+import { v4 as uuid } from "uuid";
+
+// Server-side user accounts. Passwords are hashed with scrypt; sessions are
+// opaque bearer tokens ("ses_<id>_<secret>") of which only a SHA-256 hash of
+// the secret is stored, like mailbox access tokens.
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_KEY_LENGTH = 64;
+const SESSION_PREFIX = "ses";
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const accountError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const safeEqual = (a, b) =>
+  a.length === b.length && crypto.timingSafeEqual(a, b);
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [, salt, hash] = (stored || "").split("$");
+  const expected = Buffer.from(hash || "", "hex");
+  const actual = await scrypt(
+    password,
+    Buffer.from(salt || "", "hex"),
+    SCRYPT_KEY_LENGTH
+  );
+  return safeEqual(expected, actual);
+};
+
+// Compared against when the email is unknown, so both cases take as long
+let dummyPasswordHash = null;
+const getDummyPasswordHash = async () => {
+  dummyPasswordHash ||= await hashPassword(
+    crypto.randomBytes(16).toString("hex")
+  );
+  return dummyPasswordHash;
+};
+
+const normalizeEmail = (email) =>
+  typeof email === "string" ? email.trim().toLowerCase() : "";
+
+// Users are stored under a hash of their email so login is a single lookup
+const userRecordId = (email) => sha256(email);
+
+export const isSessionToken = (token) =>
+  typeof token === "string" && token.startsWith(`${SESSION_PREFIX}_`);
+
+export const buildUserResponse = (user) => ({
+  userId: user.userId,
+  email: user.email,
+  createdAt: user.createdAt,
+});
+
+export const createUserAccounts = ({
+  users,
+  sessions,
+  sessionTtlDays = 30,
+}) => {
+  const validateCredentials = ({ email, password }) => {
+    const normalized = normalizeEmail(email);
+    if (!EMAIL_PATTERN.test(normalized)) {
+      throw accountError("A valid email is required", 400);
+    }
+    if (
+      typeof password !== "string" ||
+      password.length < PASSWORD_MIN_LENGTH ||
+      password.length > PASSWORD_MAX_LENGTH
+    ) {
+      throw accountError(
+        `Password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters`,
+        400
+      );
+    }
+    return { email: normalized, password };
+  };
+
+  const startSession = async (user) => {
+    const id = crypto.randomBytes(8).toString("hex");
+    const secret = crypto.randomBytes(24).toString("hex");
+    const createdAt = dayjs();
+    await sessions.set(id, {
+      id,
+      userId: user.userId,
+      userRecordId: userRecordId(user.email),
+      hash: sha256(secret),
+      createdAt: createdAt.toISOString(),
+      expiresAt: createdAt.add(sessionTtlDays, "day").toISOString(),
+    });
+    return {
+      token: `${SESSION_PREFIX}_${id}_${secret}`,
+      expiresAt: createdAt.add(sessionTtlDays, "day").toISOString(),
+    };
+  };
+
+  const signup = async (credentials) => {
+    const { email, password } = validateCredentials(credentials);
+    const recordId = userRecordId(email);
+    if (await users.get(recordId)) {
+      throw accountError("An account with this email already exists", 409);
+    }
+    const user = {
+      userId: uuid(),
+      email,
+      passwordHash: await hashPassword(password),
+      createdAt: dayjs().toISOString(),
+    };
+    await users.set(recordId, user);
+    return { user, session: await startSession(user) };
+  };
+
+  const login = async ({ email, password }) => {
+    const user =
+      typeof password === "string"
+        ? await users.get(userRecordId(normalizeEmail(email)))
+        : null;
+    const valid = await verifyPassword(
+      typeof password === "string" ? password : "",
+      user?.passwordHash || (await getDummyPasswordHash())
+    );
+    if (!user || !valid) {
+      throw accountError("Invalid email or password", 401);
+    }
+    return { user, session: await startSession(user) };
+  };
+
+  // Returns { user, session } for a valid token, or null
+  const resolveSession = async (token) => {
+    if (!isSessionToken(token)) return null;
+    const [, id, secret] = token.split("_");
+    const session = secret ? await sessions.get(id) : null;
+    if (
+      !session ||
+      !safeEqual(
+        Buffer.from(session.hash, "hex"),
+        Buffer.from(sha256(secret), "hex")
+      )
+    ) {
+      return null;
+    }
+    if (dayjs().isAfter(session.expiresAt)) {
+      await sessions.delete(id);
+      return null;
+    }
+    const user = await users.get(session.userRecordId);
+    return user ? { user, session } : null;
+  };
+
+  const logout = async (session) => {
+    await sessions.delete(session.id);
+  };
+
+  const pruneSessions = async () => {
+    const now = dayjs();
+    const records = await sessions.list();
+    for (const session of records) {
+      if (now.isAfter(session.expiresAt)) {
+        await sessions.delete(session.id);
+      }
+    }
+  };
+
+  return { signup, login, logout, resolveSession, pruneSessions };
+};
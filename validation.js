@@ -0,0 +1,305 @@
+// Checks requests against the OpenAPI document before they reach a handler.
+// Supports the schema keywords the document uses: type, nullable, enum,
+// format, pattern, length and range limits, properties, required,
+// additionalProperties and items, plus local $refs. Query strings, path
+// params and form bodies arrive as strings and are coerced to the schema's
+// type first, so ?limit=10 validates as an integer; the coerced query and
+// body replace req.query and req.body, so handlers can trust their types.
+const HTTP_METHODS = ["get", "put", "post", "patch", "delete"];
+
+const FORMATS = {
+  "date-time": (value) =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) &&
+    !Number.isNaN(Date.parse(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+$/.test(value),
+  uri: (value) => {
+    try {
+      return Boolean(new URL(value));
+    } catch {
+      return false;
+    }
+  },
+  uuid: (value) =>
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+      value
+    ),
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  boolean: (value) => typeof value === "boolean",
+  array: Array.isArray,
+  object: isPlainObject,
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  integer: "an integer",
+  number: "a number",
+  boolean: "a boolean",
+  array: "an array",
+  object: "an object",
+};
+
+const resolveRef = (schema, document) => {
+  let resolved = schema;
+  while (resolved?.$ref) {
+    resolved = resolved.$ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((node, key) => node?.[key], document);
+    if (!resolved)
+      throw new Error(`Unresolved schema reference ${schema.$ref}`);
+  }
+  return resolved;
+};
+
+const joinPath = (parent, key) =>
+  typeof key === "number"
+    ? `${parent}[${key}]`
+    : parent
+      ? `${parent}.${key}`
+      : key;
+
+// Returns [{ path, message }], empty when the value matches the schema
+export const validateSchema = (schema, value, document, path = "") => {
+  const issues = [];
+  const check = (rawSchema, current, currentPath) => {
+    const schema = resolveRef(rawSchema, document);
+    const fail = (message) => issues.push({ path: currentPath, message });
+    if (current === null) {
+      if (!schema.nullable && schema.type) fail("must not be null");
+      return;
+    }
+    if (schema.type && !TYPE_CHECKS[schema.type](current)) {
+      fail(`must be ${TYPE_NAMES[schema.type]}`);
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(current)) {
+      fail(`must be one of: ${schema.enum.join(", ")}`);
+      return;
+    }
+    if (typeof current === "string") {
+      if (schema.minLength !== undefined && current.length < schema.minLength) {
+        fail(`must be at least ${schema.minLength} characters`);
+      } else if (
+        schema.maxLength !== undefined &&
+        current.length > schema.maxLength
+      ) {
+        fail(`must be at most ${schema.maxLength} characters`);
+      } else if (schema.format && FORMATS[schema.format]?.(current) === false) {
+        fail(`must be a valid ${schema.format}`);
+      } else if (schema.pattern && !new RegExp(schema.pattern).test(current)) {
+        fail("has an invalid format");
+      }
+    }
+    if (typeof current === "number") {
+      if (
+        schema.minimum !== undefined &&
+        (schema.exclusiveMinimum
+          ? current <= schema.minimum
+          : current < schema.minimum)
+      ) {
+        fail(
+          schema.exclusiveMinimum
+            ? `must be greater than ${schema.minimum}`
+            : `must be at least ${schema.minimum}`
+        );
+      } else if (schema.maximum !== undefined && current > schema.maximum) {
+        fail(`must be at most ${schema.maximum}`);
+      }
+    }
+    if (Array.isArray(current)) {
+      if (schema.maxItems !== undefined && current.length > schema.maxItems) {
+        fail(`must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        current.forEach((item, index) =>
+          check(schema.items, item, joinPath(currentPath, index))
+        );
+      }
+    }
+    if (isPlainObject(current)) {
+      const properties = schema.properties || {};
+      (schema.required || [])
+        .filter((name) => current[name] === undefined)
+        .forEach((name) =>
+          issues.push({
+            path: joinPath(currentPath, name),
+            message: "is required",
+          })
+        );
+      Object.entries(current).forEach(([name, item]) => {
+        if (item === undefined) return;
+        if (properties[name]) {
+          check(properties[name], item, joinPath(currentPath, name));
+        } else if (schema.additionalProperties === false) {
+          issues.push({
+            path: joinPath(currentPath, name),
+            message: "is not a known field",
+          });
+        } else if (isPlainObject(schema.additionalProperties)) {
+          check(schema.additionalProperties, item, joinPath(currentPath, name));
+        }
+      });
+    }
+  };
+  check(schema, value, path);
+  return issues;
+};
+
+// "10" -> 10 for integer schemas, "true" -> true for booleans; anything that
+// does not convert is left alone and fails validation
+const coerce = (rawSchema, value, document) => {
+  const schema = resolveRef(rawSchema, document);
+  if (typeof value !== "string") return value;
+  if (schema.type === "integer" || schema.type === "number") {
+    return value.trim() !== "" && Number.isFinite(Number(value))
+      ? Number(value)
+      : value;
+  }
+  if (schema.type === "boolean") {
+    if (value === "true") return true;
+    if (value === "false") return false;
+  }
+  return value;
+};
+
+const coerceProperties = (rawSchema, body, document) => {
+  const schema = resolveRef(rawSchema, document);
+  if (!isPlainObject(body) || !schema.properties) return body;
+  return Object.fromEntries(
+    Object.entries(body).map(([name, value]) => [
+      name,
+      schema.properties[name]
+        ? coerce(schema.properties[name], value, document)
+        : value,
+    ])
+  );
+};
+
+const compileOperations = (document) =>
+  Object.entries(document.paths)
+    .flatMap(([template, item]) => {
+      const paramNames = [...template.matchAll(/\{(\w+)\}/g)].map(
+        ([, name]) => name
+      );
+      const pattern = new RegExp(
+        `^${template
+          .replace(/[.*+?^$()|[\]\\]/g, "\\$&")
+          .replace(/\{\w+\}/g, "([^/]+)")}$`
+      );
+      return HTTP_METHODS.filter((method) => item[method]).map((method) => ({
+        method: method.toUpperCase(),
+        template,
+        pattern,
+        paramNames,
+        parameters: [
+          ...(item.parameters || []),
+          ...(item[method].parameters || []),
+        ],
+        requestBody: item[method].requestBody,
+      }));
+    })
+    // Literal segments win over params, e.g. /messages/wait over /messages/{id}
+    .sort((a, b) => a.paramNames.length - b.paramNames.length);
+
+const validationError = (issues) => {
+  const [first] = issues;
+  const error = new Error(`${first.path || first.location} ${first.message}`);
+  error.status = 400;
+  error.details = issues;
+  return error;
+};
+
+// Express 5 computes req.query in a getter, so it is shadowed, not assigned
+const replaceQuery = (req, query) =>
+  Object.defineProperty(req, "query", {
+    value: query,
+    writable: true,
+    configurable: true,
+    enumerable: true,
+  });
+
+// Express middleware; requests that match no documented route pass through
+export const createRequestValidator = (document) => {
+  const operations = compileOperations(document);
+  const bodySchemaOf = (operation) =>
+    operation.requestBody?.content?.["application/json"]?.schema;
+
+  return (req, _res, next) => {
+    const method = req.method === "HEAD" ? "GET" : req.method;
+    let match = null;
+    const operation = operations.find((candidate) => {
+      if (candidate.method !== method) return false;
+      match = req.path.match(candidate.pattern);
+      return Boolean(match);
+    });
+    if (!operation) return next();
+
+    const issues = [];
+    const addIssues = (location, found) =>
+      found.forEach((issue) => issues.push({ location, ...issue }));
+
+    const pathValues = Object.fromEntries(
+      operation.paramNames.map((name, index) => {
+        try {
+          return [name, decodeURIComponent(match[index + 1])];
+        } catch {
+          return [name, match[index + 1]];
+        }
+      })
+    );
+
+    const query = { ...req.query };
+    for (const parameter of operation.parameters) {
+      const source = parameter.in === "path" ? pathValues : query;
+      const value = source[parameter.name];
+      if (value === undefined) {
+        if (parameter.required) {
+          addIssues(parameter.in, [
+            { path: parameter.name, message: "is required" },
+          ]);
+        }
+        continue;
+      }
+      if (Array.isArray(value)) {
+        addIssues(parameter.in, [
+          { path: parameter.name, message: "must be given only once" },
+        ]);
+        continue;
+      }
+      const coerced = coerce(parameter.schema, value, document);
+      source[parameter.name] = coerced;
+      addIssues(
+        parameter.in,
+        validateSchema(parameter.schema, coerced, document, parameter.name)
+      );
+    }
+
+    const bodySchema = bodySchemaOf(operation);
+    let body = req.body;
+    if (bodySchema) {
+      if (req.body === undefined) {
+        if (operation.requestBody.required) {
+          addIssues("body", [{ path: "", message: "is required" }]);
+        }
+      } else {
+        if (req.is("application/x-www-form-urlencoded")) {
+          body = coerceProperties(bodySchema, req.body, document);
+        }
+        addIssues("body", validateSchema(bodySchema, body, document));
+      }
+    }
+
+    if (issues.length) return next(validationError(issues));
+    replaceQuery(req, query);
+    req.body = body;
+    next();
+  };
+};
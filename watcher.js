@@ -0,0 +1,132 @@
+import { EventEmitter } from "events";
+import { logger } from "./logger.js";
+
+// One shared upstream poll per mailbox, fanned out to every subscriber
+// (SSE connections, webhooks, ...). Polling stops with the last subscriber.
+// A subscriber resuming from a { receivedAt, id } cursor (e.g. an SSE
+// reconnect) first gets the known messages newer than it, so mail that
+// arrived while it was away is not swallowed as already seen.
+const isAfter = (message, cursor) => {
+  const time = Date.parse(message.receivedAt);
+  const since = Date.parse(cursor.receivedAt);
+  return (
+    time > since || (time === since && String(message.id) > String(cursor.id))
+  );
+};
+
+export const createInboxWatcher = ({
+  fetchMessages,
+  pollIntervalMs = 5000,
+}) => {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const watches = new Map(); // mailboxId -> { subscribers, knownIds, messages, replays, timer, seeded }
+
+  const publish = (mailboxId, type, data) => {
+    events.emit(mailboxId, { type, data });
+    if (type === "mailbox.expired") {
+      stopWatching(mailboxId);
+    }
+  };
+
+  const stopWatching = (mailboxId) => {
+    const watch = watches.get(mailboxId);
+    if (!watch) return;
+    clearTimeout(watch.timer);
+    watches.delete(mailboxId);
+  };
+
+  // Oldest first, like live events
+  const replay = (mailboxId, messages, { listener, since }) =>
+    messages
+      .filter((message) => isAfter(message, since))
+      .reverse()
+      .forEach((message) =>
+        listener({ type: "message.new", data: { mailboxId, message } })
+      );
+
+  const poll = async (mailboxId) => {
+    const watch = watches.get(mailboxId);
+    if (!watch) return;
+    try {
+      const messages = await fetchMessages(mailboxId);
+      // Oldest first so subscribers receive new messages in arrival order
+      const fresh = messages
+        .filter((message) => !watch.knownIds.has(message.id))
+        .reverse();
+      fresh.forEach((message) => watch.knownIds.add(message.id));
+      watch.messages = messages;
+      // The first poll only records what is already in the inbox, apart from
+      // what resuming subscribers have not seen yet
+      if (watch.seeded) {
+        fresh.forEach((message) =>
+          publish(mailboxId, "message.new", { mailboxId, message })
+        );
+      } else {
+        watch.replays.forEach((entry) => replay(mailboxId, messages, entry));
+        watch.replays = [];
+      }
+      watch.seeded = true;
+    } catch (error) {
+      if ([404, 410].includes(error.status)) {
+        publish(mailboxId, "mailbox.expired", { mailboxId });
+        return;
+      }
+      logger.error("[Inbox Watch Error]", {
+        mailboxId,
+        message: error.message,
+      });
+    }
+    // The watch may have been stopped while the poll was in flight
+    if (watches.get(mailboxId) === watch) {
+      watch.timer = setTimeout(() => poll(mailboxId), pollIntervalMs);
+      watch.timer.unref?.();
+    }
+  };
+
+  const subscribe = (mailboxId, listener, { since = null } = {}) => {
+    events.on(mailboxId, listener);
+    let watch = watches.get(mailboxId);
+    const isNew = !watch;
+    if (isNew) {
+      watch = {
+        subscribers: 0,
+        knownIds: new Set(),
+        messages: [],
+        replays: [],
+        timer: null,
+        seeded: false,
+      };
+      watches.set(mailboxId, watch);
+    }
+    watch.subscribers += 1;
+    const entry = since ? { listener, since } : null;
+    if (entry && watch.seeded) {
+      replay(mailboxId, watch.messages, entry);
+    } else if (entry) {
+      watch.replays.push(entry);
+    }
+    if (isNew) poll(mailboxId);
+
+    let active = true;
+    return () => {
+      if (!active) return;
+      active = false;
+      events.off(mailboxId, listener);
+      watch.replays = watch.replays.filter((item) => item !== entry);
+      const current = watches.get(mailboxId);
+      if (current === watch) {
+        current.subscribers -= 1;
+        if (current.subscribers <= 0) {
+          stopWatching(mailboxId);
+        }
+      }
+    };
+  };
+
+  return {
+    subscribe,
+    publish,
+    watchedCount: () => watches.size,
+  };
+};
@@ -0,0 +1,228 @@
+import crypto from "crypto";
+import { v4 as uuid } from "uuid";
+import dayjs from "dayjs";
+import { logger } from "./logger.js";
+import { classifyHost, isPrivateHost } from "./network.js";
+
+// Outbound webhooks for new mail. Payloads are signed with the mailbox's
+// webhook secret: X-TempMail-Signature = "sha256=" + HMAC-SHA256 of
+// "<X-TempMail-Timestamp>.<raw body>".
+const MAX_LOGGED_DELIVERIES = 50;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+export const signWebhookPayload = (secret, timestamp, body) =>
+  `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+export const validateWebhookUrl = (value, { allowPrivate = false } = {}) => {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+  if (typeof value !== "string" || !value.trim()) {
+    throw invalid("Webhook URL must be a non-empty string");
+  }
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch {
+    throw invalid("Webhook URL is not a valid URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw invalid("Webhook URL must use http or https");
+  }
+  if (!allowPrivate && isPrivateHost(url.hostname)) {
+    throw invalid("Webhook URL must point to a public host");
+  }
+  return url.toString();
+};
+
+export const createWebhookDispatcher = ({
+  watcher,
+  getMailbox,
+  updateMailbox,
+  maxAttempts = 5,
+  timeoutMs = 10 * 1000,
+  allowPrivate = false,
+}) => {
+  const subscriptions = new Map(); // mailboxId -> unsubscribe
+
+  const recordDelivery = (mailboxId, entry) =>
+    updateMailbox(mailboxId, (mailbox) => {
+      const deliveries = (mailbox.webhookDeliveries || []).filter(
+        (item) => item.deliveryId !== entry.deliveryId
+      );
+      deliveries.unshift(entry);
+      mailbox.webhookDeliveries = deliveries.slice(0, MAX_LOGGED_DELIVERIES);
+    });
+
+  const attempt = async (url, secret, delivery, body) => {
+    // Registration only saw the URL; check what the host resolves to now
+    if (!allowPrivate) {
+      const verdict = await classifyHost(new URL(url).hostname);
+      if (verdict === "private") {
+        return {
+          ok: false,
+          statusCode: null,
+          error: "Webhook host resolves to a private address",
+          blocked: true,
+        };
+      }
+      if (verdict === "unresolved") {
+        return {
+          ok: false,
+          statusCode: null,
+          error: "Webhook host could not be resolved",
+        };
+      }
+    }
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "TempMail-Webhook/1.0",
+          "X-TempMail-Event": delivery.event,
+          "X-TempMail-Delivery": delivery.deliveryId,
+          "X-TempMail-Timestamp": timestamp,
+          "X-TempMail-Signature": signWebhookPayload(secret, timestamp, body),
+        },
+        body,
+        signal: controller.signal,
+        redirect: "manual",
+      });
+      // Drain the body so the connection can be reused
+      await response.text().catch(() => "");
+      return { ok: response.ok, statusCode: response.status };
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.message };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+
+  const deliver = async (mailboxId, event, message) => {
+    const mailbox = await getMailbox(mailboxId);
+    if (!mailbox?.webhookUrl) return;
+
+    const delivery = {
+      deliveryId: uuid(),
+      event,
+      messageId: message.id,
+      url: mailbox.webhookUrl,
+      status: "pending",
+      attempts: 0,
+      lastStatusCode: null,
+      lastError: null,
+      createdAt: dayjs().toISOString(),
+      updatedAt: dayjs().toISOString(),
+    };
+    const body = JSON.stringify({
+      event,
+      deliveryId: delivery.deliveryId,
+      mailboxId,
+      address: mailbox.address,
+      message,
+      sentAt: delivery.createdAt,
+    });
+
+    const run = async () => {
+      const result = await attempt(
+        delivery.url,
+        mailbox.webhookSecret,
+        delivery,
+        body
+      );
+      delivery.attempts += 1;
+      delivery.lastStatusCode = result.statusCode;
+      delivery.lastError = result.ok
+        ? null
+        : result.error || `HTTP ${result.statusCode}`;
+      delivery.updatedAt = dayjs().toISOString();
+
+      // Client errors other than 408/429 will not succeed on retry, and
+      // neither will a host that resolves to a private address
+      const retryable =
+        !result.ok &&
+        !result.blocked &&
+        (result.statusCode === null ||
+          result.statusCode >= 500 ||
+          [408, 429].includes(result.statusCode));
+
+      if (result.ok) {
+        delivery.status = "delivered";
+      } else if (retryable && delivery.attempts < maxAttempts) {
+        const delay = Math.min(
+          1000 * Math.pow(4, delivery.attempts - 1),
+          MAX_BACKOFF_MS
+        );
+        delivery.nextAttemptAt = dayjs().add(delay, "ms").toISOString();
+        logger.warn("[Webhook Retry]", {
+          mailboxId,
+          deliveryId: delivery.deliveryId,
+          lastError: delivery.lastError,
+          delayMs: delay,
+          attempt: delivery.attempts,
+          maxAttempts,
+        });
+        setTimeout(run, delay).unref?.();
+      } else {
+        delivery.status = "failed";
+        logger.warn("[Webhook Failed]", {
+          mailboxId,
+          deliveryId: delivery.deliveryId,
+          attempts: delivery.attempts,
+          lastError: delivery.lastError,
+        });
+      }
+      if (delivery.status !== "pending") {
+        delete delivery.nextAttemptAt;
+      }
+      await recordDelivery(mailboxId, { ...delivery }).catch((error) =>
+        logger.error("[Webhook Log Error]", {
+          mailboxId,
+          message: error.message,
+        })
+      );
+    };
+
+    await recordDelivery(mailboxId, { ...delivery });
+    await run();
+  };
+
+  const unregister = (mailboxId) => {
+    subscriptions.get(mailboxId)?.();
+    subscriptions.delete(mailboxId);
+  };
+
+  // (Re)subscribe a mailbox to its inbox watch according to its webhookUrl
+  const register = (mailbox) => {
+    unregister(mailbox.mailboxId);
+    if (!mailbox.webhookUrl) return;
+    const unsubscribe = watcher.subscribe(mailbox.mailboxId, (event) => {
+      if (event.type === "message.new") {
+        deliver(mailbox.mailboxId, event.type, event.data.message).catch(
+          (error) =>
+            logger.error("[Webhook Error]", {
+              mailboxId: mailbox.mailboxId,
+              message: error.message,
+            })
+        );
+      } else if (event.type === "mailbox.expired") {
+        unregister(mailbox.mailboxId);
+      }
+    });
+    subscriptions.set(mailbox.mailboxId, unsubscribe);
+  };
+
+  return { register, unregister };
+};